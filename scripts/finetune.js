@@ -13,6 +13,8 @@ const PIPELINE_ROOT = path.join(PROJECT_ROOT, 'pipeline');
 const DEFAULT_MODEL = 'meta-llama/Meta-Llama-3-70B-Instruct';
 const TOGETHER_CLI = 'together';
 let TEST_MODE = false;
+// Without a TTY (cron, containers) nothing can answer a prompt
+let INTERACTIVE = Boolean(process.stdin.isTTY);
 
 // Colors
 const RED = '\x1b[31m';
@@ -76,7 +78,15 @@ async function checkRequirements() {
   info('Pipeline directory found');
 }
 
-async function selectFinetuningFile() {
+async function selectFinetuningFile(file) {
+  if (file) {
+    const filepath = path.resolve(file);
+    if (!fs.existsSync(filepath)) {
+      errorExit(`Finetuning file not found: ${filepath}`);
+    }
+    return filepath;
+  }
+
   const fileList = await new Promise((resolve, reject) => {
     glob(`${PIPELINE_ROOT}/**/finetuning.jsonl`, (error, files) => {
       if (error) {
@@ -91,6 +101,15 @@ async function selectFinetuningFile() {
     errorExit('No finetuning.jsonl files found in the pipeline directory');
   }
 
+  if (!INTERACTIVE) {
+    if (fileList.length === 1) {
+      return fileList[0];
+    }
+    errorExit(
+      `Found ${fileList.length} finetuning files and cannot ask which one to use. Pass --file <path>:\n${fileList.join('\n')}`
+    );
+  }
+
   console.log('\nAvailable finetuning files:');
   fileList.forEach((file, index) => {
     console.log(`${YELLOW}${index + 1}${NC}) ${file}`);
@@ -179,12 +198,27 @@ async function execAsync(command) {
 }
 
 async function main() {
-  // Parse arguments
+  // Parse arguments: [model] [--test] [--file <path>] [--yes|--non-interactive]
   const args = process.argv.slice(2);
-  if (args.includes('--test')) {
-    TEST_MODE = true;
+  let file = null;
+  let modelName = null;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--test') {
+      TEST_MODE = true;
+    } else if (args[i] === '--yes' || args[i] === '-y' || args[i] === '--non-interactive') {
+      INTERACTIVE = false;
+    } else if (args[i] === '--file') {
+      file = args[++i];
+      if (!file) {
+        errorExit('--file needs the path of a finetuning.jsonl file');
+      }
+    } else if (args[i].startsWith('-')) {
+      errorExit(`Unknown option: ${args[i]}`);
+    } else {
+      modelName = args[i];
+    }
   }
-  const modelName = args.find((arg) => !arg.startsWith('--')) || DEFAULT_MODEL;
+  modelName = modelName || DEFAULT_MODEL;
 
   // Main execution
   if (TEST_MODE) {
@@ -200,7 +234,7 @@ async function main() {
 
   await checkRequirements();
 
-  const filepath = await selectFinetuningFile();
+  const filepath = await selectFinetuningFile(file);
   await checkFileFormat(filepath);
   const fileId = await uploadFile(filepath);
   const jobId = await startFinetuning(fileId, modelName);
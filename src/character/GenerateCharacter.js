@@ -115,6 +115,17 @@ class TweetProcessor {
     }
   }
 
+  async loadPeople() {
+    // Written by the collector when run with --following
+    const overlapPath = path.join(this.baseDir, "analytics", "follow_overlap.json");
+    try {
+      const overlap = JSON.parse(await fs.readFile(overlapPath, "utf-8"));
+      return overlap.people || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
   async readJsonlFile(filePath) {
     const tweets = [];
     const fileStream = createReadStream(filePath);
@@ -233,6 +244,12 @@ class TweetProcessor {
 
       characterData.topics = Array.from(topics);
 
+      // Accounts the user follows that other collected accounts follow too
+      const people = await this.loadPeople();
+      if (people.length > 0) {
+        characterData.people = people;
+      }
+
       // Save updated character file
       await fs.writeFile(
         this.characterFile,
@@ -243,6 +260,7 @@ class TweetProcessor {
       console.log(`✅ Successfully processed tweets for ${this.username}`);
       console.log(`📝 Added ${characterData.postExamples.length} post examples`);
       console.log(`📝 Extracted ${characterData.topics.length} topics`);
+      console.log(`📝 Added ${(characterData.people || []).length} people`);
     } catch (error) {
       console.error(`Failed to process tweets: ${error.message}`);
       throw error;
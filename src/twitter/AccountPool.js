@@ -0,0 +1,250 @@
+// AccountPool.js
+import fs from 'fs/promises';
+import path from 'path';
+import FileLock from './FileLock.js';
+import Logger from './Logger.js';
+import SecretStore from './SecretStore.js';
+
+// How long an account rests after each kind of failure
+export const COOLDOWNS = {
+  'rate limited': 15 * 60 * 1000,
+  'logged out': 15 * 60 * 1000,
+  'login failed': 60 * 60 * 1000,
+  locked: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Scraper accounts the pipeline can log in with, read from a pool file
+ * (TWITTER_ACCOUNTS_FILE, default accounts.json) or, without one, from the
+ * TWITTER_USERNAME / TWITTER_PASSWORD / TWITTER_EMAIL variables. Each
+ * account's health is kept in cache/account_health.json. The pool file and
+ * session cookies go through the SecretStore, so both can be encrypted.
+ */
+class AccountPool {
+  constructor(
+    poolPath = process.env.TWITTER_ACCOUNTS_FILE || path.join(process.cwd(), 'accounts.json'),
+    healthPath = path.join(process.cwd(), 'cache', 'account_health.json'),
+    store = new SecretStore()
+  ) {
+    this.poolPath = poolPath;
+    this.healthPath = healthPath;
+    this.store = store;
+    this.accounts = null;
+    this.current = null;
+    this.pendingRequests = {};
+  }
+
+  /**
+   * Where an account's session cookies are saved.
+   * @param {string} username - Pooled account.
+   * @returns {string}
+   */
+  static cookiesPath(username) {
+    return path.join(process.cwd(), 'cookies', `${username}_cookies.json`);
+  }
+
+  /**
+   * Turns saved cookies into the strings Scraper.setCookies accepts.
+   * @param {Array<object|string>} cookies - Serialized tough-cookie objects or strings.
+   * @returns {string[]}
+   */
+  static toCookieStrings(cookies) {
+    return cookies.map((cookie) =>
+      typeof cookie === 'string'
+        ? cookie
+        : [
+            `${cookie.key}=${cookie.value}`,
+            `Domain=${cookie.domain}`,
+            `Path=${cookie.path || '/'}`,
+            cookie.expires && `Expires=${new Date(cookie.expires).toUTCString()}`,
+            cookie.secure && 'Secure',
+            cookie.httpOnly && 'HttpOnly',
+          ]
+            .filter(Boolean)
+            .join('; ')
+    );
+  }
+
+  /**
+   * @param {string} username - Pooled account.
+   * @returns {Promise<object[]|null>} Saved cookies, or null if there are none.
+   */
+  async loadCookies(username) {
+    return this.store.readJson(AccountPool.cookiesPath(username));
+  }
+
+  async saveCookies(username, cookies) {
+    await this.store.writeJson(AccountPool.cookiesPath(username), cookies);
+  }
+
+  async deleteCookies(username) {
+    await fs.rm(AccountPool.cookiesPath(username), { force: true });
+  }
+
+  get size() {
+    return this.accounts?.length || 0;
+  }
+
+  /**
+   * Reads the pool file. Entries look like
+   * { "username": "burner1", "password": "...", "email": "...", "twoFactorSecret": "..." }.
+   * @returns {Promise<object[]>} accounts - Accounts with a username and password.
+   */
+  async load() {
+    if (this.accounts) return this.accounts;
+
+    let pool;
+    try {
+      pool = await this.store.readJson(this.poolPath);
+    } catch (error) {
+      throw new Error(`Could not read account pool ${this.poolPath}: ${error.message}`);
+    }
+
+    let entries;
+    if (pool) {
+      entries = Array.isArray(pool) ? pool : pool.accounts || [];
+    } else {
+      entries = [
+        {
+          username: process.env.TWITTER_USERNAME,
+          password: process.env.TWITTER_PASSWORD,
+          email: process.env.TWITTER_EMAIL,
+        },
+      ];
+    }
+
+    this.accounts = entries
+      .filter((entry) => {
+        if (entry?.username && entry?.password) return true;
+        if (entry?.username) Logger.warn(`⚠️  Skipping pool account @${entry.username} without a password`);
+        return false;
+      })
+      .map((entry) => ({ ...entry, username: entry.username.replace(/^@/, '') }));
+    return this.accounts;
+  }
+
+  async loadHealth() {
+    try {
+      return JSON.parse(await fs.readFile(this.healthPath, 'utf-8'));
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Applies a change to one account's health record and saves it.
+   * @param {string} username - Account to update.
+   * @param {function(object): void} update - Mutates the record.
+   */
+  async updateHealth(username, update) {
+    await FileLock.withLock(this.healthPath, async () => {
+      const health = await this.loadHealth();
+      const record = health[username] || {
+        status: 'ok',
+        lastFailure: null,
+        cooldownUntil: null,
+        totalRequests: 0,
+        lastUsed: null,
+      };
+      update(record);
+      health[username] = record;
+
+      await FileLock.writeAtomic(this.healthPath, JSON.stringify(health, null, 2));
+    });
+  }
+
+  /**
+   * Picks the healthy account that was used least recently and makes it current.
+   * @param {string[]} [exclude] - Usernames not to pick.
+   * @returns {Promise<object|null>} account - Next account, or null if all are cooling down.
+   */
+  async next(exclude = []) {
+    await this.load();
+    const health = await this.loadHealth();
+    const now = Date.now();
+
+    const candidates = this.accounts
+      .filter((account) => !exclude.includes(account.username))
+      .filter((account) => !(Date.parse(health[account.username]?.cooldownUntil) > now))
+      .sort(
+        (a, b) =>
+          (Date.parse(health[a.username]?.lastUsed) || 0) -
+          (Date.parse(health[b.username]?.lastUsed) || 0)
+      );
+
+    this.current = candidates[0] || null;
+    if (this.current) {
+      await this.updateHealth(this.current.username, (record) => {
+        record.lastUsed = new Date().toISOString();
+      });
+    }
+    return this.current;
+  }
+
+  /**
+   * Records a failure and rests the account for the matching cooldown.
+   * @param {string} username - Failing account.
+   * @param {string} reason - Key of COOLDOWNS.
+   */
+  async markFailure(username, reason) {
+    const cooldown = COOLDOWNS[reason] || COOLDOWNS['rate limited'];
+    const cooldownUntil = new Date(Date.now() + cooldown).toISOString();
+
+    await this.updateHealth(username, (record) => {
+      record.status = reason;
+      record.lastFailure = { at: new Date().toISOString(), reason };
+      record.cooldownUntil = cooldownUntil;
+    });
+    Logger.warn(`⚠️  @${username} ${reason} - resting until ${cooldownUntil}`);
+  }
+
+  /**
+   * Counts a governor's requests against the account it is scoped to.
+   * @param {RequestGovernor} governor - Governor in front of the scraper.
+   */
+  track(governor) {
+    governor.on('request', () => {
+      this.pendingRequests[governor.scope] = (this.pendingRequests[governor.scope] || 0) + 1;
+    });
+  }
+
+  /**
+   * Adds the requests counted since the last flush to the pooled accounts' totals.
+   */
+  async flushRequests() {
+    const pending = this.pendingRequests;
+    this.pendingRequests = {};
+
+    for (const [username, count] of Object.entries(pending)) {
+      if (!this.accounts?.some((account) => account.username === username)) continue;
+      await this.updateHealth(username, (record) => {
+        record.totalRequests += count;
+      });
+    }
+  }
+
+  /**
+   * Lists every pooled account with its health.
+   * @returns {Promise<object[]>}
+   */
+  async status() {
+    await this.load();
+    const health = await this.loadHealth();
+    const now = Date.now();
+
+    return this.accounts.map(({ username }) => {
+      const record = health[username] || {};
+      const coolingDown = Date.parse(record.cooldownUntil) > now;
+      return {
+        username,
+        status: coolingDown ? record.status : 'ok',
+        cooldownUntil: coolingDown ? record.cooldownUntil : null,
+        lastFailure: record.lastFailure || null,
+        totalRequests: record.totalRequests || 0,
+        lastUsed: record.lastUsed || null,
+      };
+    });
+  }
+}
+
+export default AccountPool;
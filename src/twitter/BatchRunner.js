@@ -0,0 +1,229 @@
+// BatchRunner.js
+import fs from 'fs/promises';
+import chalk from 'chalk';
+import { Scraper } from 'agent-twitter-client';
+import Logger from './Logger.js';
+import TwitterPipeline from './TwitterPipeline.js';
+import RequestGovernor from './RequestGovernor.js';
+import AccountPool from './AccountPool.js';
+import ProxyPool from './ProxyPool.js';
+
+class BatchRunner {
+  /**
+   * Collects many accounts from a roster file through one shared session.
+   * @param {string} rosterPath - Path to the roster JSON file.
+   * @param {object} options - Command line options shared by every account.
+   */
+  constructor(rosterPath, options = {}) {
+    this.rosterPath = rosterPath;
+    this.options = options;
+    this.concurrency = Math.max(1, parseInt(options.concurrency) || 1);
+    this.spacing = (parseFloat(options.spacing) || 0) * 1000;
+    this.governor = new RequestGovernor();
+    this.scraper = new Scraper({ fetch: this.governor.fetch });
+    this.accountPool = new AccountPool();
+    this.accountPool.track(this.governor);
+    this.proxyPool = new ProxyPool();
+    this.results = [];
+    this.nextStartAt = 0;
+    // Pipelines collecting right now, by username
+    this.active = new Map();
+    // Whether authenticate() logged the shared scraper in
+    this.loggedIn = false;
+  }
+
+  /**
+   * Reads the roster. Entries are either usernames or objects such as
+   * { "username": "pmarca", "startDate": "2024-01-01", "endDate": "2024-06-30", "maxTweets": 5000 }.
+   * @returns {Promise<object[]>} accounts - Normalized roster entries.
+   */
+  async loadRoster() {
+    let roster;
+    try {
+      roster = JSON.parse(await fs.readFile(this.rosterPath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Could not read roster ${this.rosterPath}: ${error.message}`);
+    }
+
+    const entries = Array.isArray(roster) ? roster : roster.accounts;
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error(`Roster ${this.rosterPath} has no accounts`);
+    }
+
+    return entries.map((entry) => {
+      const account = typeof entry === 'string' ? { username: entry } : entry;
+      if (!account.username) {
+        throw new Error(`Roster entry without a username: ${JSON.stringify(entry)}`);
+      }
+      return { ...account, username: account.username.replace(/^@/, '') };
+    });
+  }
+
+  /**
+   * Waits until the configured spacing since the previous account start has passed.
+   */
+  async waitForSlot() {
+    const now = Date.now();
+    const startAt = Math.max(now, this.nextStartAt);
+    this.nextStartAt = startAt + this.spacing;
+    if (startAt > now) {
+      Logger.info(`Waiting ${((startAt - now) / 1000).toFixed(0)} seconds before next account...`);
+      await new Promise((resolve) => setTimeout(resolve, startAt - now));
+    }
+  }
+
+  /**
+   * Creates the pipeline for one roster entry on the shared session.
+   * @param {object} account - Normalized roster entry.
+   * @param {object} [overrides] - Extra pipeline options.
+   * @returns {TwitterPipeline}
+   */
+  createPipeline(account, overrides = {}) {
+    return new TwitterPipeline(account.username, {
+      ...this.options,
+      startDate: account.startDate || this.options.startDate,
+      endDate: account.endDate || this.options.endDate,
+      maxTweets: account.maxTweets || this.options.maxTweets,
+      interactive: false,
+      scraper: this.scraper,
+      governor: this.governor,
+      accountPool: this.accountPool,
+      proxyPool: this.proxyPool,
+      ...overrides,
+    });
+  }
+
+  /**
+   * Logs the shared scraper in (saved cookies first) through one pipeline.
+   * @param {TwitterPipeline} pipeline - Any pipeline using the shared session.
+   */
+  async authenticate(pipeline) {
+    if (pipeline.source.name !== 'scraper') return;
+
+    await pipeline.validateEnvironment();
+    const authenticated = await pipeline.initializeScraper();
+    if (!authenticated) {
+      throw new Error('Failed to authenticate the shared scraper session');
+    }
+    this.loggedIn = true;
+  }
+
+  async collectAccount(pipeline, account) {
+    await this.waitForSlot();
+    const startTime = Date.now();
+    this.active.set(account.username, pipeline);
+
+    try {
+      const analytics = await pipeline.run();
+      // Runs that stop early keep their checkpoint for --resume
+      const interrupted = Boolean(pipeline.stats.interrupted);
+      if (interrupted) {
+        Logger.warn(`⚠️  @${account.username} stopped early: ${pipeline.stats.interruptedBy}`);
+      }
+      this.results.push({
+        username: account.username,
+        status: interrupted ? 'partial' : 'complete',
+        tweets: analytics?.totalTweets || 0,
+        duration: Date.now() - startTime,
+        error: interrupted ? pipeline.stats.interruptedBy : undefined,
+      });
+    } catch (error) {
+      Logger.error(`@${account.username} failed: ${error.message}`);
+      this.results.push({
+        username: account.username,
+        status: 'failed',
+        tweets: 0,
+        duration: Date.now() - startTime,
+        error: error.message,
+      });
+    } finally {
+      this.active.delete(account.username);
+    }
+  }
+
+  /**
+   * Lists the accounts being collected that have saved a checkpoint so far.
+   * @returns {Promise<string[]>} Usernames.
+   */
+  async checkpointedAccounts() {
+    const checkpointed = [];
+    for (const [username, pipeline] of this.active) {
+      if (await pipeline.hasCheckpoint()) checkpointed.push(username);
+    }
+    return checkpointed;
+  }
+
+  async run() {
+    const accounts = await this.loadRoster();
+    Logger.info(
+      `📋 Batch collection of ${accounts.length} accounts (concurrency ${this.concurrency})`
+    );
+
+    const pipelines = accounts.map((account) => this.createPipeline(account));
+
+    // Authenticate once and share the session with every account
+    await this.authenticate(pipelines[0]);
+
+    let nextIndex = 0;
+    const worker = async () => {
+      while (nextIndex < accounts.length) {
+        const index = nextIndex++;
+        await this.collectAccount(pipelines[index], accounts[index]);
+      }
+    };
+
+    try {
+      await Promise.all(
+        Array.from({ length: Math.min(this.concurrency, accounts.length) }, worker)
+      );
+    } finally {
+      await this.cleanup();
+    }
+
+    this.displaySummary();
+    return this.results;
+  }
+
+  displaySummary() {
+    const count = (status) => this.results.filter((r) => r.status === status).length;
+    const summary = {};
+
+    for (const result of this.results) {
+      const minutes = (result.duration / 60000).toFixed(1);
+      if (result.status === 'complete') {
+        summary[`@${result.username}`] = chalk.green(
+          `✓ ${result.tweets.toLocaleString()} tweets (${minutes}m)`
+        );
+      } else if (result.status === 'partial') {
+        summary[`@${result.username}`] = chalk.yellow(
+          `◐ ${result.tweets.toLocaleString()} tweets, interrupted: ${result.error}`
+        );
+      } else {
+        summary[`@${result.username}`] = chalk.red(`✗ ${result.error}`);
+      }
+    }
+
+    summary.Completed = `${count('complete')} / ${this.results.length}`;
+    summary.Interrupted = count('partial').toString();
+    summary.Failed = count('failed').toString();
+    summary['Total Tweets'] = this.results
+      .reduce((sum, r) => sum + r.tweets, 0)
+      .toLocaleString();
+
+    Logger.stats('📋 Batch Results', summary);
+  }
+
+  async cleanup() {
+    if (!this.loggedIn) return;
+
+    try {
+      this.loggedIn = false;
+      await this.scraper.logout();
+      Logger.success('🔒 Logged out of shared session');
+    } catch (error) {
+      Logger.warn(`⚠️  Logout error: ${error.message}`);
+    }
+  }
+}
+
+export default BatchRunner;
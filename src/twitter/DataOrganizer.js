@@ -2,16 +2,37 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { format } from 'date-fns';
+import EngagementHistory from './EngagementHistory.js';
 import Logger from './Logger.js';
+import ThreadBuilder from './ThreadBuilder.js';
 
 class DataOrganizer {
-  constructor(baseDir, username) {
-    this.baseDir = path.join(
-      baseDir,
-      username.toLowerCase(),
-      format(new Date(), 'yyyy-MM-dd')
-    );
-    this.createDirectories();
+  constructor(
+    baseDir,
+    username,
+    date = format(new Date(), 'yyyy-MM-dd'),
+    { createDirectories = true } = {}
+  ) {
+    this.accountDir = path.join(baseDir, username.toLowerCase());
+    this.baseDir = path.join(this.accountDir, date);
+    // Await before writing: the folders are created in the background
+    this.ready = createDirectories ? this.createDirectories() : Promise.resolve();
+  }
+
+  /**
+   * Lists the dated snapshot folders collected for this account.
+   * @returns {Promise<string[]>} Snapshot dates (yyyy-MM-dd), oldest first.
+   */
+  async listSnapshots() {
+    try {
+      const entries = await fs.readdir(this.accountDir, { withFileTypes: true });
+      return entries
+        .filter((entry) => entry.isDirectory() && /^\d{4}-\d{2}-\d{2}$/.test(entry.name))
+        .map((entry) => entry.name)
+        .sort();
+    } catch (error) {
+      return [];
+    }
   }
 
   /**
@@ -38,18 +59,35 @@ class DataOrganizer {
       raw: {
         tweets: path.join(this.baseDir, 'raw', 'tweets.json'),
         urls: path.join(this.baseDir, 'raw', 'urls.txt'),
+        threads: path.join(this.baseDir, 'raw', 'threads.json'),
+        media: path.join(this.baseDir, 'raw', 'media'),
+        mentions: path.join(this.baseDir, 'raw', 'mentions.json'),
+        profile: path.join(this.baseDir, 'raw', 'profile.json'),
+        following: path.join(this.baseDir, 'raw', 'following.json'),
+        followers: path.join(this.baseDir, 'raw', 'followers.json'),
       },
       processed: {
         finetuning: path.join(this.baseDir, 'processed', 'finetuning.jsonl'),
       },
       analytics: {
         stats: path.join(this.baseDir, 'analytics', 'stats.json'),
+        interactions: path.join(this.baseDir, 'analytics', 'interactions.json'),
+        followOverlap: path.join(this.baseDir, 'analytics', 'follow_overlap.json'),
+        deletedTweets: path.join(this.baseDir, 'analytics', 'deleted_tweets.json'),
+        engagementHistory: path.join(this.baseDir, 'analytics', 'engagement_history.jsonl'),
       },
       exports: {
         summary: path.join(this.baseDir, 'exports', 'summary.md'),
       },
       meta: {
         nextToken: path.join(this.baseDir, 'meta', 'next_token.txt'),
+        progress: path.join(this.baseDir, 'meta', 'progress.json'),
+        checkpoint: path.join(this.baseDir, 'meta', 'checkpoint.jsonl'),
+        changelog: path.join(this.baseDir, 'meta', 'changelog.json'),
+        filterConfig: path.join(this.baseDir, 'meta', 'filter_config.json'),
+        log: path.join(this.baseDir, 'meta', 'pipeline.log'),
+        errors: path.join(this.baseDir, 'meta', 'error_log.json'),
+        windows: path.join(this.baseDir, 'meta', 'windows.json'),
       },
     };
   }
@@ -84,13 +122,245 @@ class DataOrganizer {
     }
   }
 
+  /**
+   * Loads the raw tweets saved in this snapshot.
+   * @returns {Promise<object[]>} tweets - Saved tweets, or an empty array if none.
+   */
+  async loadTweets() {
+    try {
+      const data = await fs.readFile(this.getPaths().raw.tweets, 'utf-8');
+      return JSON.parse(data);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Saves the account profile as it was at collection time.
+   * @param {object} profile - Profile snapshot built by the pipeline.
+   * @returns {Promise<void>}
+   */
+  async saveProfile(profile) {
+    const profilePath = this.getPaths().raw.profile;
+    await fs.writeFile(profilePath, JSON.stringify(profile, null, 2), 'utf-8');
+    Logger.success(`✅ Saved profile to ${profilePath}`);
+  }
+
+  /**
+   * Loads the profile saved in this snapshot.
+   * @returns {Promise<object|null>} profile - Saved profile or null if missing.
+   */
+  async loadProfile() {
+    try {
+      const data = await fs.readFile(this.getPaths().raw.profile, 'utf-8');
+      return JSON.parse(data);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Saves a following or follower list.
+   * @param {'following'|'followers'} kind - Which list this is.
+   * @param {object} list - { username, userId, collectedAt, complete, accounts }.
+   * @returns {Promise<void>}
+   */
+  async saveConnections(kind, list) {
+    const listPath = this.getPaths().raw[kind];
+    await fs.writeFile(listPath, JSON.stringify(list, null, 2), 'utf-8');
+    Logger.success(`✅ Saved ${list.accounts.length} accounts to ${listPath}`);
+  }
+
+  /**
+   * Loads the following list saved in this snapshot.
+   * @returns {Promise<object|null>} following - Saved list or null if missing.
+   */
+  async loadFollowing() {
+    try {
+      const data = await fs.readFile(this.getPaths().raw.following, 'utf-8');
+      return JSON.parse(data);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Saves the follow overlap with other collected accounts.
+   * @param {object} overlap - Output of FollowGraph.analyzeOverlap.
+   * @returns {Promise<void>}
+   */
+  async saveFollowOverlap(overlap) {
+    const overlapPath = this.getPaths().analytics.followOverlap;
+    await fs.writeFile(overlapPath, JSON.stringify(overlap, null, 2), 'utf-8');
+    Logger.success(`✅ Saved follow overlap to ${overlapPath}`);
+  }
+
+  /**
+   * Saves the tweets found deleted between snapshots.
+   * @param {object} report - Compared snapshots and the deleted tweets.
+   * @returns {Promise<void>}
+   */
+  async saveDeletedTweets(report) {
+    const reportPath = this.getPaths().analytics.deletedTweets;
+    await fs.writeFile(reportPath, JSON.stringify(report, null, 2), 'utf-8');
+    Logger.success(`✅ Saved deleted tweets to ${reportPath}`);
+  }
+
+  /**
+   * Appends this collection's engagement counts to the engagement history.
+   * @param {object[]} tweets - Tweets read in this collection.
+   * @param {Map<string, string>} [readTimes] - When checkpointed tweets were read, by id.
+   * @returns {Promise<void>}
+   */
+  async saveEngagementReadings(tweets, readTimes) {
+    const historyPath = this.getPaths().analytics.engagementHistory;
+    const added = await EngagementHistory.append(historyPath, tweets, undefined, readTimes);
+    Logger.success(`✅ Saved ${added} engagement readings to ${historyPath}`);
+  }
+
+  /**
+   * Appends an entry to the snapshot changelog.
+   * @param {object} entry - Description of what an incremental run added.
+   * @returns {Promise<void>}
+   */
+  async saveChangelog(entry) {
+    const changelogPath = this.getPaths().meta.changelog;
+    let changelog = [];
+    try {
+      changelog = JSON.parse(await fs.readFile(changelogPath, 'utf-8'));
+    } catch {
+      // First entry for this snapshot
+    }
+
+    changelog.push(entry);
+    await fs.writeFile(changelogPath, JSON.stringify(changelog, null, 2), 'utf-8');
+    Logger.success(`✅ Saved changelog to ${changelogPath}`);
+  }
+
+  /**
+   * Saves the tweet filter config used for this collection.
+   * @param {object} config - Filter config in the --filter-config file format.
+   * @returns {Promise<void>}
+   */
+  async saveFilterConfig(config) {
+    const configPath = this.getPaths().meta.filterConfig;
+    await fs.writeFile(configPath, JSON.stringify(config, null, 2), 'utf-8');
+    Logger.success(`✅ Saved filter config to ${configPath}`);
+  }
+
+  /**
+   * Saves the date windows searched so far.
+   * @param {object} windows - SearchWindows state (range, next window end and searched windows).
+   * @returns {Promise<void>}
+   */
+  async saveWindows(windows) {
+    await fs.writeFile(this.getPaths().meta.windows, JSON.stringify(windows, null, 2), 'utf-8');
+  }
+
+  /**
+   * Reads the date windows searched by an earlier run of this snapshot.
+   * @returns {Promise<object|null>} Parsed windows.json or null if missing.
+   */
+  async loadWindows() {
+    try {
+      return JSON.parse(await fs.readFile(this.getPaths().meta.windows, 'utf-8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Reads the progress record written by the pipeline.
+   * @returns {Promise<object|null>} progress - Parsed progress.json or null if missing.
+   */
+  async loadProgress() {
+    try {
+      const data = await fs.readFile(this.getPaths().meta.progress, 'utf-8');
+      return JSON.parse(data);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Appends a batch of tweets to the checkpoint and records the cursor that follows it.
+   * @param {object[]} tweets - Processed tweets collected in this batch.
+   * @param {string|undefined} nextToken - Search cursor for the next batch.
+   * @returns {Promise<void>}
+   */
+  async saveCheckpoint(tweets, nextToken) {
+    const paths = this.getPaths();
+    if (tweets.length > 0) {
+      // A resumed run records their engagement as read now, not when it resumes
+      const readAt = new Date().toISOString();
+      await fs.appendFile(
+        paths.meta.checkpoint,
+        tweets.map((t) => JSON.stringify({ ...t, readAt })).join('\n') + '\n',
+        'utf-8'
+      );
+    }
+    if (nextToken) {
+      await this.saveNextToken(nextToken);
+    }
+  }
+
+  /**
+   * Loads the checkpointed tweets and search cursor of an interrupted collection.
+   * @returns {Promise<{tweets: object[], cursor: string|null, readTimes: Map<string, string>}>}
+   *   readTimes - When each tweet was read, by id.
+   */
+  async loadCheckpoint() {
+    const tweets = new Map();
+    const readTimes = new Map();
+    try {
+      const data = await fs.readFile(this.getPaths().meta.checkpoint, 'utf-8');
+      data
+        .split('\n')
+        .filter((line) => line.trim())
+        .forEach((line) => {
+          try {
+            const { readAt, ...tweet } = JSON.parse(line);
+            tweets.set(tweet.id, tweet);
+            if (readAt) readTimes.set(tweet.id, readAt);
+          } catch {
+            // A crash mid-write can leave a truncated last line
+          }
+        });
+    } catch (error) {
+      Logger.warn(`⚠️  No checkpointed tweets found.`);
+    }
+
+    return {
+      tweets: Array.from(tweets.values()),
+      cursor: await this.getLastNextToken(),
+      readTimes,
+    };
+  }
+
+  /**
+   * Removes the checkpoint once a collection has completed, or before a fresh
+   * collection starts over in the same snapshot.
+   * @returns {Promise<void>}
+   */
+  async clearCheckpoint() {
+    const paths = this.getPaths();
+    await fs.rm(paths.meta.checkpoint, { force: true });
+    await fs.rm(paths.meta.nextToken, { force: true });
+  }
+
   /**
    * Saves collected tweets and related data.
    * @param {object[]} tweets - Array of tweet objects.
+   * @param {object} [extras]
+   * @param {object[]} [extras.threads] - Reconstructed conversations to save alongside.
+   * @param {boolean} [extras.quoteContext] - Prefix fine-tuning entries with the quoted tweet.
+   * @param {function(object): boolean} [extras.include] - Tweets the analytics, fine-tuning
+   *   data and summary are built from; the raw tweets keep every tweet.
    * @returns {object} analytics - Generated analytics from tweets.
    */
-  async saveTweets(tweets) {
+  async saveTweets(tweets, { threads = null, quoteContext = false, include = () => true } = {}) {
     const paths = this.getPaths();
+    const kept = tweets.filter(include);
 
     try {
       // Save raw tweets
@@ -106,8 +376,21 @@ class DataOrganizer {
       await fs.writeFile(paths.raw.urls, urls.join('\n'), 'utf-8');
       Logger.success(`✅ Saved tweet URLs to ${paths.raw.urls}`);
 
+      // Save reconstructed threads
+      if (threads) {
+        await fs.writeFile(
+          paths.raw.threads,
+          JSON.stringify(threads, null, 2),
+          'utf-8'
+        );
+        Logger.success(`✅ Saved ${threads.length} threads to ${paths.raw.threads}`);
+      }
+
       // Generate and save analytics
-      const analytics = this.generateAnalytics(tweets);
+      const analytics = this.generateAnalytics(kept);
+      if (threads) {
+        analytics.threads = ThreadBuilder.summarize(threads);
+      }
       await fs.writeFile(
         paths.analytics.stats,
         JSON.stringify(analytics, null, 2),
@@ -116,7 +399,7 @@ class DataOrganizer {
       Logger.success(`✅ Saved analytics to ${paths.analytics.stats}`);
 
       // Generate and save fine-tuning data
-      const finetuningData = this.generateFinetuningData(tweets);
+      const finetuningData = this.generateFinetuningData(kept, { quoteContext });
       Logger.info(
         `ℹ️  Generating fine-tuning data with ${finetuningData.length} entries`
       );
@@ -135,7 +418,7 @@ class DataOrganizer {
       }
 
       // Generate and save summary
-      const summary = this.generateSummary(tweets, analytics);
+      const summary = this.generateSummary(kept, analytics);
       await fs.writeFile(paths.exports.summary, summary, 'utf-8');
       Logger.success(`✅ Saved summary to ${paths.exports.summary}`);
 
@@ -146,6 +429,79 @@ class DataOrganizer {
     }
   }
 
+  /**
+   * Saves tweets addressed to the account and who they came from.
+   * @param {object[]} mentions - Mentions linked to the account's answers.
+   * @returns {Promise<object>} interactions - Generated interaction analytics.
+   */
+  async saveMentions(mentions) {
+    const paths = this.getPaths();
+
+    await fs.writeFile(paths.raw.mentions, JSON.stringify(mentions, null, 2), 'utf-8');
+    Logger.success(`✅ Saved mentions to ${paths.raw.mentions}`);
+
+    const interactions = this.generateInteractionAnalytics(mentions);
+    await fs.writeFile(
+      paths.analytics.interactions,
+      JSON.stringify(interactions, null, 2),
+      'utf-8'
+    );
+    Logger.success(`✅ Saved interaction analytics to ${paths.analytics.interactions}`);
+
+    return interactions;
+  }
+
+  /**
+   * Generates analytics on who interacts with the account.
+   * @param {object[]} mentions - Mentions linked to the account's answers.
+   * @returns {object} interactions - Answer rate, response times and top interactors.
+   */
+  generateInteractionAnalytics(mentions) {
+    const interactors = new Map();
+    const responseTimes = [];
+
+    for (const mention of mentions) {
+      const username = mention.username || 'unknown';
+      const entry = interactors.get(username) || {
+        username,
+        mentions: 0,
+        answered: 0,
+        totalLikes: 0,
+        lastInteraction: null,
+      };
+
+      entry.mentions++;
+      entry.totalLikes += mention.likes || 0;
+      if (mention.answeredBy?.length) entry.answered++;
+      if (!entry.lastInteraction || mention.createdAt > entry.lastInteraction) {
+        entry.lastInteraction = mention.createdAt;
+      }
+      interactors.set(username, entry);
+
+      if (mention.responseMinutes !== null && mention.responseMinutes !== undefined) {
+        responseTimes.push(mention.responseMinutes);
+      }
+    }
+
+    const answered = mentions.filter((mention) => mention.answeredBy?.length).length;
+    responseTimes.sort((a, b) => a - b);
+
+    return {
+      totalMentions: mentions.length,
+      uniqueInteractors: interactors.size,
+      answered,
+      answerRate: mentions.length
+        ? ((answered / mentions.length) * 100).toFixed(1)
+        : '0.0',
+      medianResponseMinutes: responseTimes.length
+        ? responseTimes[Math.floor(responseTimes.length / 2)]
+        : null,
+      topInteractors: Array.from(interactors.values())
+        .sort((a, b) => b.mentions - a.mentions || b.answered - a.answered)
+        .slice(0, 50),
+    };
+  }
+
   /**
    * Generates analytics from tweets.
    * @param {object[]} tweets - Array of tweet objects.
@@ -247,14 +603,18 @@ class DataOrganizer {
   }
 
   /**
-   * Generates fine-tuning data from tweets.
+   * Generates fine-tuning data from tweets. Retweets and tweets the account
+   * deleted are left out.
    * @param {object[]} tweets - Array of tweet objects.
+   * @param {object} [options]
+   * @param {boolean} [options.quoteContext] - Show the quoted text before the user's commentary.
    * @returns {object[]} fineTuningData - Array of fine-tuning data objects.
    */
-  generateFinetuningData(tweets) {
+  generateFinetuningData(tweets, { quoteContext = false } = {}) {
     return tweets
       .filter(
-        (tweet) => !tweet.isRetweet && tweet.text && tweet.timestamp !== null
+        (tweet) =>
+          !tweet.isRetweet && !tweet.deleted && tweet.text && tweet.timestamp !== null
       )
       .map((tweet) => {
         let cleanText = tweet.text
@@ -265,6 +625,13 @@ class DataOrganizer {
 
         if (!cleanText) return null;
 
+        const quoted = tweet.quotedTweet;
+        if (quoteContext && quoted?.text) {
+          return {
+            text: `[Quoting @${quoted.username}: ${quoted.text.replace(/\s+/g, ' ').trim()}]\n${cleanText}`,
+          };
+        }
+
         return {
           text: cleanText,
         };
@@ -310,7 +677,17 @@ class DataOrganizer {
 ${analytics.engagement.topTweets
   .map((t) => `- [${t.likes} likes] ${t.text}...\n  • ${t.url}`)
   .join('\n\n')}
-
+${
+  analytics.threads
+    ? `
+## Threads
+- **Conversations Reconstructed:** ${analytics.threads.totalThreads}
+- **Self-Threads:** ${analytics.threads.selfThreads}
+- **Average Thread Length:** ${analytics.threads.averageLength} tweets
+- **Longest Thread:** ${analytics.threads.longestThread} tweets
+`
+    : ''
+}
 ## Storage Details
 Raw data, analytics, and exports can be found in:
 **${this.baseDir}**
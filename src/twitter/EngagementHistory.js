@@ -0,0 +1,250 @@
+// EngagementHistory.js
+import fs from 'fs/promises';
+import path from 'path';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Tweet ages the accumulation curve is reported at, in hours
+const AGE_MARKS = [1, 6, 24, 72, 168, 720];
+
+// Tweet age groups whose typical gain rates spikes are compared against, in hours
+const AGE_GROUPS = [...AGE_MARKS, Infinity];
+
+// How many times the typical rate for its age a gain must be to count as a spike
+const SPIKE_FACTOR = 5;
+
+// Smallest gain (likes + retweets + replies) that can count as a spike
+const MIN_SPIKE_GAIN = 20;
+
+const engagementOf = (reading) =>
+  (reading.likes || 0) + (reading.retweetCount || 0) + (reading.replies || 0);
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Keeps the engagement counts read for each tweet on every collection in
+ * analytics/engagement_history.jsonl, and works out from them how an
+ * account's tweets gather engagement over time.
+ */
+class EngagementHistory {
+  /**
+   * @param {object} tweet - Processed tweet.
+   * @param {string} readAt - When the counts were read (ISO date).
+   * @returns {object} Reading keyed by tweet id and timestamp.
+   */
+  static reading(tweet, readAt) {
+    return {
+      id: tweet.id,
+      timestamp: readAt,
+      createdAt: tweet.createdAt,
+      likes: tweet.likes || 0,
+      retweetCount: tweet.retweetCount || 0,
+      replies: tweet.replies || 0,
+    };
+  }
+
+  /**
+   * @param {string} filePath - analytics/engagement_history.jsonl of a snapshot.
+   * @returns {Promise<object[]>} Readings, or none if the file doesn't exist.
+   */
+  static async load(filePath) {
+    let data;
+    try {
+      data = await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new Error(`Could not read ${filePath}: ${error.message}`);
+    }
+
+    const readings = [];
+    for (const line of data.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        readings.push(JSON.parse(line));
+      } catch {
+        // A crash mid-write can leave a truncated last line
+      }
+    }
+    return readings;
+  }
+
+  /**
+   * Adds a reading of each tweet.
+   * @param {string} filePath - analytics/engagement_history.jsonl of a snapshot.
+   * @param {object[]} tweets - Tweets read in this collection.
+   * @param {string} [readAt] - When they were read (ISO date, default now).
+   * @param {Map<string, string>} [readTimes] - Tweets read at another time, by id.
+   * @returns {Promise<number>} Readings added.
+   */
+  static async append(filePath, tweets, readAt = new Date().toISOString(), readTimes = new Map()) {
+    const lines = tweets
+      .filter((tweet) => tweet.id && tweet.createdAt)
+      .map((tweet) =>
+        JSON.stringify(EngagementHistory.reading(tweet, readTimes.get(tweet.id) || readAt))
+      );
+    if (lines.length === 0) return 0;
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(filePath, lines.join('\n') + '\n', 'utf-8');
+    return lines.length;
+  }
+
+  /**
+   * Groups readings into one series per tweet, oldest reading first. A tweet
+   * read twice at the same time keeps its last reading.
+   * @param {object[]} readings
+   * @returns {object[]} id, createdAt and points ({ age in hours, engagement, likes, retweetCount, replies, timestamp }).
+   */
+  static series(readings) {
+    const tweets = new Map();
+    for (const reading of readings) {
+      const posted = Date.parse(reading.createdAt);
+      const read = Date.parse(reading.timestamp);
+      if (isNaN(posted) || isNaN(read) || read < posted) continue;
+
+      if (!tweets.has(reading.id)) {
+        tweets.set(reading.id, { id: reading.id, createdAt: reading.createdAt, points: new Map() });
+      }
+      tweets.get(reading.id).points.set(read, {
+        age: (read - posted) / HOUR_MS,
+        engagement: engagementOf(reading),
+        likes: reading.likes || 0,
+        retweetCount: reading.retweetCount || 0,
+        replies: reading.replies || 0,
+        timestamp: reading.timestamp,
+      });
+    }
+
+    return [...tweets.values()].map((tweet) => ({
+      ...tweet,
+      points: [...tweet.points.values()].sort((a, b) => a.age - b.age),
+    }));
+  }
+
+  /**
+   * Engagement of a tweet at an age, assuming it grew steadily between
+   * readings (and from zero when it was posted).
+   * @param {object[]} points - From series(), oldest first.
+   * @param {number} age - Hours since the tweet was posted.
+   * @returns {number|null} Estimated engagement, or null past the last reading.
+   */
+  static engagementAt(points, age) {
+    let previous = { age: 0, engagement: 0 };
+    for (const point of points) {
+      if (point.age >= age) {
+        const span = point.age - previous.age;
+        const share = span > 0 ? (age - previous.age) / span : 1;
+        return previous.engagement + (point.engagement - previous.engagement) * share;
+      }
+      previous = point;
+    }
+    return null;
+  }
+
+  /**
+   * Hours it took a tweet to reach half of its latest engagement.
+   * @param {object[]} points - From series(), oldest first.
+   * @returns {number|null} Null for tweets read once, without engagement or
+   *   first read past their half-life (when it can't be told).
+   */
+  static halfLife(points) {
+    const latest = points[points.length - 1];
+    if (points.length < 2 || !latest || latest.engagement <= 0) return null;
+
+    const half = latest.engagement / 2;
+    if (points[0].engagement >= half) return null;
+
+    let previous = points[0];
+    for (const point of points.slice(1)) {
+      if (point.engagement >= half) {
+        const gained = point.engagement - previous.engagement;
+        const share = gained > 0 ? (half - previous.engagement) / gained : 1;
+        return previous.age + (point.age - previous.age) * share;
+      }
+      previous = point;
+    }
+    return null;
+  }
+
+  /**
+   * Summarizes how the account's tweets gather engagement.
+   * @param {object[]} readings - Readings from every snapshot.
+   * @returns {object} tweets, readings, tracked (tweets read more than once),
+   *   halfLifeHours, accumulation (share of latest engagement by age) and
+   *   spikes (gains at least SPIKE_FACTOR times the typical rate for their age), largest first.
+   */
+  static analyze(readings) {
+    const series = EngagementHistory.series(readings);
+    const tracked = series.filter((tweet) => tweet.points.length > 1);
+
+    const halfLives = tracked
+      .map((tweet) => EngagementHistory.halfLife(tweet.points))
+      .filter((hours) => hours !== null);
+
+    // Only tweets read on both sides of an age say how much they had by then
+    const accumulation = AGE_MARKS.map((hours) => {
+      const shares = [];
+      for (const tweet of tracked) {
+        const latest = tweet.points[tweet.points.length - 1];
+        if (tweet.points[0].age > hours || latest.age < hours || latest.engagement <= 0) continue;
+        shares.push(EngagementHistory.engagementAt(tweet.points, hours) / latest.engagement);
+      }
+      return { hours, tweets: shares.length, share: median(shares) };
+    });
+
+    // Gains between two readings, grouped by the tweet's age when they started
+    const gains = [];
+    for (const tweet of tracked) {
+      tweet.points.slice(1).forEach((point, index) => {
+        const previous = tweet.points[index];
+        const hours = point.age - previous.age;
+        if (hours <= 0) return;
+        const gained = point.engagement - previous.engagement;
+        gains.push({
+          id: tweet.id,
+          createdAt: tweet.createdAt,
+          from: previous.timestamp,
+          to: point.timestamp,
+          age: previous.age,
+          group: AGE_GROUPS.findIndex((limit) => previous.age < limit),
+          gained,
+          perHour: gained / hours,
+        });
+      });
+    }
+
+    const typical = AGE_GROUPS.map((_, group) =>
+      median(gains.filter((gain) => gain.group === group).map((gain) => gain.perHour))
+    );
+
+    const spikes = gains
+      .filter((gain) => {
+        const baseline = typical[gain.group];
+        return gain.gained >= MIN_SPIKE_GAIN && gain.perHour >= SPIKE_FACTOR * Math.max(baseline, 0.01);
+      })
+      .map(({ group, ...gain }) => ({
+        ...gain,
+        typicalPerHour: typical[group],
+        factor: typical[group] > 0 ? gain.perHour / typical[group] : null,
+      }))
+      .sort((a, b) => b.gained - a.gained);
+
+    return {
+      tweets: series.length,
+      readings: series.reduce((sum, tweet) => sum + tweet.points.length, 0),
+      tracked: tracked.length,
+      halfLifeHours: median(halfLives),
+      halfLifeTweets: halfLives.length,
+      accumulation,
+      typicalPerHour: AGE_GROUPS.map((hours, group) => ({ underHours: hours, perHour: typical[group] })),
+      spikes,
+    };
+  }
+}
+
+export default EngagementHistory;
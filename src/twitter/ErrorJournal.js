@@ -0,0 +1,171 @@
+// ErrorJournal.js
+import fs from 'fs/promises';
+import path from 'path';
+import RequestGovernor from './RequestGovernor.js';
+
+// Entries kept per snapshot in meta/error_log.json
+const MAX_ENTRIES = 100;
+
+// Failure types in the order they are matched, with their likely cause
+const ERROR_TYPES = [
+  {
+    type: 'locked',
+    test: (error, details) => error.reason === 'locked' || RequestGovernor.isAuthLockError(error),
+    cause: 'Twitter locked or suspended the account. Unlock it in a browser, then run npm run cookies -- delete <account>.',
+  },
+  {
+    type: 'rate limited',
+    test: (error, details) => error.reason === 'rate limited' || /\b429\b|rate limit/i.test(details),
+    cause: 'The account spent its request budget. Lower MAX_TWEETS, raise MIN_DELAY/MAX_DELAY or add accounts to the pool.',
+  },
+  {
+    type: 'logged out',
+    test: (error, details) => /\b401\b|could not authenticate|no longer logged in|cookies are invalid/i.test(details),
+    cause: 'The saved cookies expired or were revoked. Run npm run cookies -- refresh.',
+  },
+  {
+    type: 'login failed',
+    test: (error, details) => /login|authenticat|credentials|password|2fa|two.?factor/i.test(details),
+    cause: 'Wrong password, email or 2FA secret, or Twitter asked for a challenge. Log in once in a browser to check.',
+  },
+  {
+    type: 'decryption',
+    test: (error, details) => /TWITTER_STORE_PASSPHRASE|decrypt/i.test(details),
+    cause: 'Saved sessions are encrypted with a different passphrase. Check TWITTER_STORE_PASSPHRASE.',
+  },
+  {
+    type: 'proxy',
+    test: (error, details) => /proxy|socks|\b407\b/i.test(details),
+    cause: 'A proxy refused or dropped the connection. Run npm run proxy -- check.',
+  },
+  {
+    type: 'network',
+    test: (error, details) =>
+      /ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|fetch failed|socket hang up|network|timed? ?out/i.test(details),
+    cause: 'Requests to Twitter did not get through. Check the connection (or the proxy) and retry.',
+  },
+  {
+    type: 'browser',
+    test: (error, details, phase) =>
+      phase === 'fallback' || /puppeteer|navigation|waiting for selector|target closed|protocol error|chromium/i.test(details),
+    cause: 'The browser fallback could not read Twitter. The page layout may have changed or the session was challenged.',
+  },
+  {
+    type: 'filesystem',
+    test: (error, details) => /ENOSPC|EACCES|EPERM|EROFS|EMFILE/.test(details),
+    cause: 'Pipeline files could not be written. Check disk space and permissions under pipeline/.',
+  },
+];
+
+const UNKNOWN_CAUSE = 'No known cause. Check the stack trace in meta/error_log.json.';
+
+/**
+ * Classifies pipeline failures and keeps them in each snapshot's
+ * meta/error_log.json, so recurring failures can be summarized across runs.
+ */
+class ErrorJournal {
+  /**
+   * Tells what kind of failure an error is.
+   * @param {Error|object} error - Error, or the error saved in a journal entry.
+   * @param {string} [phase] - Pipeline phase the error happened in.
+   * @returns {string} One of the ERROR_TYPES, or "other".
+   */
+  static classify(error, phase = null) {
+    const details = [
+      error?.message,
+      error?.code,
+      error?.status ?? error?.response?.status,
+      error?.cause?.message,
+      error?.cause?.code,
+    ]
+      .filter(Boolean)
+      .join(' ');
+
+    const match = ERROR_TYPES.find(({ test }) => test(error || {}, details, phase));
+    return match ? match.type : 'other';
+  }
+
+  /**
+   * @param {string} type - Failure type from classify().
+   * @returns {string} What most likely went wrong and what to do about it.
+   */
+  static causeOf(type) {
+    return ERROR_TYPES.find((entry) => entry.type === type)?.cause || UNKNOWN_CAUSE;
+  }
+
+  /**
+   * @param {string} filePath - meta/error_log.json of a snapshot.
+   * @returns {Promise<object[]>} Entries, or none if the file doesn't exist.
+   */
+  static async load(filePath) {
+    try {
+      const entries = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+      return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new Error(`Could not read ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Adds an entry, keeping the most recent MAX_ENTRIES.
+   * @param {string} filePath - meta/error_log.json of a snapshot.
+   * @param {object} entry
+   */
+  static async append(filePath, entry) {
+    const entries = await ErrorJournal.load(filePath).catch(() => []);
+    entries.push(entry);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(entries.slice(-MAX_ENTRIES), null, 2));
+  }
+
+  /**
+   * Groups entries by failure type, most frequent first.
+   * @param {object[]} entries - Journal entries; older ones without a type are classified.
+   * @returns {object[]} type, count, runs, phases, accounts, firstSeen, lastSeen, lastMessage and cause.
+   */
+  static summarize(entries) {
+    const groups = new Map();
+
+    for (const entry of entries) {
+      const phase = entry.context?.phase || null;
+      const type = entry.type || ErrorJournal.classify(entry.error, phase);
+      if (!groups.has(type)) {
+        groups.set(type, {
+          type,
+          count: 0,
+          runs: new Set(),
+          phases: new Set(),
+          accounts: new Set(),
+          firstSeen: entry.timestamp,
+          lastSeen: entry.timestamp,
+          lastMessage: null,
+        });
+      }
+
+      const group = groups.get(type);
+      group.count++;
+      group.runs.add(entry.context?.runId || entry.snapshot || entry.timestamp);
+      if (phase) group.phases.add(phase);
+      if (entry.context?.account) group.accounts.add(entry.context.account);
+      if (entry.timestamp < group.firstSeen) group.firstSeen = entry.timestamp;
+      if (entry.timestamp >= group.lastSeen) {
+        group.lastSeen = entry.timestamp;
+        group.lastMessage = entry.error?.message || null;
+      }
+    }
+
+    return [...groups.values()]
+      .map((group) => ({
+        ...group,
+        runs: group.runs.size,
+        phases: [...group.phases],
+        accounts: [...group.accounts],
+        cause: ErrorJournal.causeOf(group.type),
+      }))
+      .sort((a, b) => b.count - a.count || b.lastSeen.localeCompare(a.lastSeen));
+  }
+}
+
+export default ErrorJournal;
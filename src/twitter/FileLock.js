@@ -0,0 +1,77 @@
+// FileLock.js
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// A lock older than this was left behind by a run that crashed holding it
+const LOCK_STALE_MS = 5000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Lock files around read-modify-writes of shared JSON state (rate limits,
+ * account health, sessions), so batch workers and parallel runs don't
+ * overwrite each other's changes.
+ */
+class FileLock {
+  /**
+   * Runs a task while holding `${filePath}.lock`.
+   * @param {string} filePath - File the task reads and writes.
+   * @param {function(): Promise<*>} task
+   * @returns {Promise<*>} The task's result.
+   */
+  static async withLock(filePath, task) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const release = await FileLock.acquire(`${filePath}.lock`);
+
+    try {
+      return await task();
+    } finally {
+      await release();
+    }
+  }
+
+  /**
+   * Waits for the lock file and creates it.
+   * @param {string} lockPath
+   * @returns {Promise<function(): Promise<void>>} Releases the lock.
+   */
+  static async acquire(lockPath) {
+    while (true) {
+      try {
+        const handle = await fs.open(lockPath, 'wx');
+        await handle.close();
+        return () => fs.rm(lockPath, { force: true });
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+
+        const stat = await fs.stat(lockPath).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+          await fs.rm(lockPath, { force: true });
+          continue;
+        }
+        await sleep(20 + Math.random() * 30);
+      }
+    }
+  }
+
+  /**
+   * Replaces a file in one step through a temp file of its own, so a reader
+   * never sees it half written and concurrent writes don't share a temp file.
+   * @param {string} filePath - File to replace.
+   * @param {string} data - New contents.
+   * @param {object|string} [options='utf-8'] - fs.writeFile options.
+   */
+  static async writeAtomic(filePath, data, options = 'utf-8') {
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    try {
+      await fs.writeFile(tempPath, data, options);
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+}
+
+export default FileLock;
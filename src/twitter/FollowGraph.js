@@ -0,0 +1,142 @@
+// FollowGraph.js
+import fs from 'fs/promises';
+import DataOrganizer from './DataOrganizer.js';
+import Logger from './Logger.js';
+
+/**
+ * Compares an account's following list with the lists saved for the other
+ * accounts in the pipeline folder.
+ */
+class FollowGraph {
+  constructor(baseDir = 'pipeline') {
+    this.baseDir = baseDir;
+  }
+
+  /**
+   * Keeps the profile fields worth storing for a followed or following account.
+   * @param {object} profile - Profile from the tweet source.
+   * @returns {object}
+   */
+  static summarizeProfile(profile) {
+    return {
+      userId: profile.userId || null,
+      username: profile.username,
+      name: profile.name || null,
+      biography: profile.biography || '',
+      followersCount: profile.followersCount ?? null,
+      followingCount: profile.followingCount ?? null,
+      isVerified: Boolean(profile.isVerified || profile.isBlueVerified),
+    };
+  }
+
+  /**
+   * Finds the newest snapshot of an account that has a following list.
+   * @param {string} account - Pipeline folder name.
+   * @returns {Promise<{date: string, following: object[]}|null>}
+   */
+  async loadLatestFollowing(account) {
+    const organizer = new DataOrganizer(this.baseDir, account, undefined, {
+      createDirectories: false,
+    });
+
+    for (const date of (await organizer.listSnapshots()).reverse()) {
+      const snapshot = new DataOrganizer(this.baseDir, account, date, {
+        createDirectories: false,
+      });
+      const following = await snapshot.loadFollowing();
+      if (following) return { date, following: following.accounts || [] };
+    }
+
+    return null;
+  }
+
+  /**
+   * Lists shared follows between the account and every other collected account.
+   * @param {string} username - Target account.
+   * @param {object[]} following - Profiles the target follows.
+   * @returns {Promise<object>} overlap - Per-account overlaps, the most shared
+   *   follows and a ranked list of people for character files.
+   */
+  async analyzeOverlap(username, following) {
+    const target = username.toLowerCase();
+    const followed = new Map(
+      following
+        .filter((profile) => profile.username)
+        .map((profile) => [profile.username.toLowerCase(), profile])
+    );
+
+    let accounts = [];
+    try {
+      const entries = await fs.readdir(this.baseDir, { withFileTypes: true });
+      accounts = entries
+        .filter((entry) => entry.isDirectory())
+        .map((entry) => entry.name)
+        // Query folders hold topics, not accounts
+        .filter((name) => name !== target && !name.startsWith('query-'));
+    } catch (error) {
+      Logger.warn(`⚠️  Could not list collected accounts: ${error.message}`);
+    }
+
+    const overlaps = [];
+    const sharedBy = new Map();
+
+    for (const account of accounts) {
+      const latest = await this.loadLatestFollowing(account);
+      if (!latest) continue;
+
+      const names = new Set(
+        latest.following
+          .filter((profile) => profile.username)
+          .map((profile) => profile.username.toLowerCase())
+      );
+      const shared = [...names].filter((name) => followed.has(name));
+      const union = new Set([...names, ...followed.keys()]).size;
+
+      shared.forEach((name) => {
+        sharedBy.set(name, [...(sharedBy.get(name) || []), account]);
+      });
+
+      overlaps.push({
+        account,
+        snapshot: latest.date,
+        following: names.size,
+        shared: shared.length,
+        similarity: union ? Number((shared.length / union).toFixed(4)) : 0,
+        followedByTarget: followed.has(account),
+        followsTarget: names.has(target),
+        sharedFollows: shared.map((name) => followed.get(name).username),
+      });
+    }
+
+    const mostSharedFollows = [...sharedBy.entries()]
+      .sort(([, a], [, b]) => b.length - a.length)
+      .slice(0, 50)
+      .map(([name, sharedWith]) => ({
+        username: followed.get(name).username,
+        name: followed.get(name).name,
+        sharedWith,
+      }));
+
+    // Collected accounts the target follows come first, then the follows it
+    // shares with the most other accounts
+    const people = [
+      ...overlaps.filter((o) => o.followedByTarget).map((o) => followed.get(o.account).username),
+      ...mostSharedFollows.map((follow) => follow.username),
+    ]
+      .filter((name, index, list) => list.indexOf(name) === index)
+      .slice(0, 20)
+      .map((name) => `@${name}`);
+
+    return {
+      username,
+      generatedAt: new Date().toISOString(),
+      following: followed.size,
+      comparedAccounts: overlaps.length,
+      overlaps: overlaps.sort((a, b) => b.shared - a.shared),
+      mostSharedFollows,
+      people,
+    };
+  }
+}
+
+export default FollowGraph;
@@ -1,33 +1,186 @@
 import chalk from 'chalk';
 import ora from 'ora';
 import Table from 'cli-table3';
+import fs from 'fs';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+import { format as formatText, stripVTControlCharacters } from 'util';
 import { format } from 'date-fns';
 
+export const LOG_FORMATS = ['pretty', 'plain', 'json'];
+
+// meta/pipeline.log is rotated to pipeline.log.1 ... .5 past 5 MB
+const LOG_FILE_MAX_BYTES = 5 * 1024 * 1024;
+const LOG_FILE_KEEP = 5;
+
+// How often the collection status is redrawn (pretty) or printed as a line
+const PROGRESS_INTERVAL_MS = { pretty: 1000, plain: 15000, json: 15000 };
+
+// Account, phase and log file of the pipeline run that is logging
+const context = new AsyncLocalStorage();
+
+const emptyCollectionStats = () => ({
+  oldestTweet: null,
+  newestTweet: null,
+  rateLimitHits: 0,
+  rateLimitWaits: 0,
+  rateLimitWaitMs: 0,
+  resets: 0,
+  batchesWithNewTweets: 0,
+  totalBatches: 0,
+  startTime: Date.now(),
+  tweetsPerMinute: 0,
+  currentDelay: 0,
+  lastResetTime: null,
+  scanned: 0,
+  initialScanned: null,
+  expectedTotal: null
+});
+
+// Collection stats and when they were last shown, kept per run so parallel
+// runs don't mix their counts
+const emptyProgress = () => ({ stats: emptyCollectionStats(), lastUpdate: 0 });
+
+// Progress of collections logged outside a pipeline run
+const defaultProgress = emptyProgress();
+
+/**
+ * @param {number} ms
+ * @returns {string} e.g. "1h 5m", "4m 10s" or "12s".
+ */
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds >= 3600) return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+  if (seconds >= 60) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  return `${seconds}s`;
+}
+
 class Logger {
+  static format = 'pretty';
   static spinner = null;
+  static spinnerText = null;
   static progressBar = null;
-  static lastUpdate = Date.now();
-  static collectionStats = {
-    oldestTweet: null,
-    newestTweet: null,
-    rateLimitHits: 0,
-    resets: 0,
-    batchesWithNewTweets: 0,
-    totalBatches: 0,
-    startTime: Date.now(),
-    tweetsPerMinute: 0,
-    currentDelay: 0,
-    lastResetTime: null
-  };
   
   // Determine if debug logs should be shown based on an environment variable
   static isDebugEnabled = process.env.DEBUG === 'true';
 
+  /**
+   * Picks the console output: pretty (colors, spinners, live tables), plain
+   * (no colors or redraws, for pipes) or json (one object per event on stdout).
+   * Only CLI entry points should ask for json: it sends console.log to stderr.
+   * @param {object} options
+   * @param {string} [options.format] - Defaults to pretty on a TTY, plain
+   *   otherwise; unknown formats fall back to the default with a warning.
+   */
+  static configure({ format: logFormat } = {}) {
+    const fallback = process.stdout.isTTY ? 'pretty' : 'plain';
+    let resolved = logFormat || fallback;
+    if (!LOG_FORMATS.includes(resolved)) {
+      this.warn(`Unknown log format "${resolved}" (use ${LOG_FORMATS.join(', ')}) - using ${fallback}`);
+      resolved = fallback;
+    }
+
+    this.format = resolved;
+    if (resolved !== 'pretty') chalk.level = 0;
+    if (resolved === 'json') {
+      // stdout carries only JSON lines; tables and other output go to stderr
+      console.log = (...args) => process.stderr.write(`${formatText(...args)}\n`);
+    }
+  }
+
+  /**
+   * Runs fn with an account (and log file) attached to everything it logs.
+   * @param {object} fields - account, phase and logFile.
+   * @param {function(): Promise<*>} fn
+   */
+  static withContext(fields, fn) {
+    return context.run(
+      { account: null, phase: null, logFile: null, ...fields, progress: emptyProgress() },
+      fn
+    );
+  }
+
+  /**
+   * @returns {object} The current run's account, phase and log file.
+   */
+  static getContext() {
+    const { progress, ...fields } = context.getStore() || {};
+    return fields;
+  }
+
+  static get progress() {
+    return context.getStore()?.progress || defaultProgress;
+  }
+
+  /**
+   * The current run's collection stats.
+   */
+  static get collectionStats() {
+    return this.progress.stats;
+  }
+
+  /**
+   * Updates the current run's context, e.g. Logger.setContext({ phase: 'save' }).
+   */
+  static setContext(fields) {
+    const store = context.getStore();
+    if (store) Object.assign(store, fields);
+  }
+
+  /**
+   * Records an event: written to the run's log file, and to stdout in json mode.
+   * @param {string} level - info, success, warn, error, debug, progress or stats.
+   * @param {string} message
+   * @param {object} [counters] - Numbers that go with the event.
+   * @returns {object} The event.
+   */
+  static log(level, message, counters = null) {
+    const store = context.getStore() || {};
+    const entry = {
+      level,
+      timestamp: new Date().toISOString(),
+      account: store.account ?? null,
+      phase: store.phase ?? null,
+      message: stripVTControlCharacters(String(message)).trim(),
+      ...(counters && { counters }),
+    };
+
+    if (store.logFile) this.writeLogFile(store.logFile, entry);
+    if (this.format === 'json') process.stdout.write(`${JSON.stringify(entry)}\n`);
+    return entry;
+  }
+
+  static writeLogFile(file, entry) {
+    // A log that can't be written must never stop the run
+    try {
+      const line = `${JSON.stringify(entry)}\n`;
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+      if (size + line.length > LOG_FILE_MAX_BYTES) this.rotateLogFile(file);
+      fs.appendFileSync(file, line, 'utf-8');
+    } catch {}
+  }
+
+  static rotateLogFile(file) {
+    for (let i = LOG_FILE_KEEP - 1; i >= 1; i--) {
+      if (fs.existsSync(`${file}.${i}`)) fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+    }
+    fs.renameSync(file, `${file}.1`);
+  }
+
   static startSpinner(text) {
-    this.spinner = ora(text).start();
+    this.spinnerText = text;
+    this.log('info', text);
+    if (this.format !== 'json') {
+      this.spinner = ora(text).start();
+    }
   }
 
   static stopSpinner(success = true) {
+    if (this.spinnerText) {
+      this.log(success ? 'success' : 'error', this.spinnerText);
+      this.spinnerText = null;
+    }
     if (this.spinner) {
       success ? this.spinner.succeed() : this.spinner.fail();
       this.spinner = null;
@@ -35,36 +188,52 @@ class Logger {
   }
 
   static info(msg) {
-    console.log(chalk.blue(`ℹ️  ${msg}`));
+    this.log('info', msg);
+    if (this.format !== 'json') console.log(chalk.blue(`ℹ️  ${msg}`));
   }
 
   static success(msg) {
-    console.log(chalk.green(`✅ ${msg}`));
+    this.log('success', msg);
+    if (this.format !== 'json') console.log(chalk.green(`✅ ${msg}`));
   }
 
   static warn(msg) {
-    console.log(chalk.yellow(`⚠️  ${msg}`));
+    this.log('warn', msg);
+    if (this.format !== 'json') console.log(chalk.yellow(`⚠️  ${msg}`));
   }
 
   static error(msg) {
-    console.log(chalk.red(`❌ ${msg}`));
+    this.log('error', msg);
+    if (this.format !== 'json') console.log(chalk.red(`❌ ${msg}`));
   }
 
   // Add the debug method
   static debug(msg) {
     if (this.isDebugEnabled) {
-      console.log(chalk.gray(`🔍 Debug: ${msg}`));
+      this.log('debug', msg);
+      if (this.format !== 'json') console.log(chalk.gray(`🔍 Debug: ${msg}`));
     }
   }
 
+  /**
+   * Records a collected batch and refreshes the collection status.
+   * @param {object} progress
+   * @param {number} progress.totalCollected - Tweets kept so far.
+   * @param {number} [progress.scanned] - Tweets seen so far, kept or not.
+   * @param {number} [progress.expectedTotal] - Tweets the account has, for the percentage and ETA.
+   * @param {boolean} [progress.force] - Show the status even if it was just shown.
+   */
   static updateCollectionProgress({
     totalCollected,
+    scanned = totalCollected,
+    expectedTotal = null,
     newInBatch = 0,
     batchSize = 0,
     oldestTweetDate = null,
     newestTweetDate = null,
     currentDelay = 0,
-    isReset = false
+    isReset = false,
+    force = false
   }) {
     const now = Date.now();
     
@@ -73,6 +242,12 @@ class Logger {
     if (newInBatch > 0) this.collectionStats.batchesWithNewTweets++;
     if (isReset) this.collectionStats.resets++;
     this.collectionStats.currentDelay = currentDelay;
+    this.collectionStats.scanned = scanned;
+    this.collectionStats.expectedTotal = expectedTotal;
+    // Tweets from a resumed checkpoint don't count towards the rate
+    if (this.collectionStats.initialScanned === null) {
+      this.collectionStats.initialScanned = scanned - batchSize;
+    }
     
     // Update date range
     if (oldestTweetDate) {
@@ -88,25 +263,78 @@ class Logger {
 
     // Calculate efficiency metrics
     const runningTime = (now - this.collectionStats.startTime) / 1000 / 60; // minutes
-    this.collectionStats.tweetsPerMinute = (totalCollected / runningTime).toFixed(1);
+    this.collectionStats.tweetsPerMinute = runningTime > 0 ? (totalCollected / runningTime).toFixed(1) : '0.0';
 
-    // Only update display every second to avoid spam
-    if (now - this.lastUpdate > 1000) {
+    // Redraw every second on a terminal, print a line every 15 seconds otherwise
+    if (force || now - this.progress.lastUpdate > PROGRESS_INTERVAL_MS[this.format]) {
       this.displayCollectionStatus({
         totalCollected,
         newInBatch,
         batchSize,
         isReset
       });
-      this.lastUpdate = now;
+      this.progress.lastUpdate = now;
     }
   }
 
+  /**
+   * Percentage of the account's tweets seen so far and the time left at the
+   * current rate.
+   * @returns {{percent: number|null, etaMs: number|null}}
+   */
+  static collectionEstimate() {
+    const { scanned, initialScanned, expectedTotal, startTime } = this.collectionStats;
+    if (!expectedTotal) return { percent: null, etaMs: null };
+
+    const percent = Math.min(100, (scanned / expectedTotal) * 100);
+    const perMs = (scanned - (initialScanned || 0)) / (Date.now() - startTime);
+    const remaining = Math.max(0, expectedTotal - scanned);
+    const etaMs = perMs > 0 ? remaining / perMs : null;
+    return { percent, etaMs };
+  }
+
   static displayCollectionStatus({ totalCollected, newInBatch, batchSize, isReset }) {
+    const { percent, etaMs } = this.collectionEstimate();
+    const { oldestTweet, rateLimitWaits, rateLimitWaitMs, expectedTotal } = this.collectionStats;
+    const oldestDate = oldestTweet ? format(oldestTweet, 'yyyy-MM-dd') : null;
+
+    const counters = {
+      totalCollected,
+      scanned: this.collectionStats.scanned,
+      expectedTotal,
+      percent: percent === null ? null : Number(percent.toFixed(1)),
+      etaSeconds: etaMs === null ? null : Math.round(etaMs / 1000),
+      oldestTweet: oldestDate,
+      newInBatch,
+      batchSize,
+      tweetsPerMinute: Number(this.collectionStats.tweetsPerMinute),
+      rateLimitHits: this.collectionStats.rateLimitHits,
+      rateLimitWaits,
+      rateLimitWaitSeconds: Math.round(rateLimitWaitMs / 1000),
+      resets: this.collectionStats.resets,
+    };
+    this.log('progress', 'Collection progress', counters);
+    if (this.format === 'json') return;
+
+    // Redrawing the table only works on a terminal
+    if (this.format === 'plain') {
+      const parts = [`Collected ${totalCollected.toLocaleString()} tweets`];
+      if (percent !== null) parts.push(`${percent.toFixed(1)}% of ${expectedTotal.toLocaleString()}`);
+      if (etaMs !== null) parts.push(`ETA ${formatDuration(etaMs)}`);
+      if (oldestDate) parts.push(`oldest ${oldestDate}`);
+      parts.push(`${counters.tweetsPerMinute}/min`);
+      parts.push(`${rateLimitWaits} rate limit waits (${formatDuration(rateLimitWaitMs)})`);
+      console.log(parts.join(', '));
+      return;
+    }
+
+    // Keep the spinner from drawing over the table
+    this.spinner?.clear();
     console.clear(); // Clear console for clean display
     
     // Display collection header
-    console.log(chalk.bold.blue('\n🐦 Twitter Collection Status\n'));
+    const { account } = this.getContext();
+    console.log(chalk.bold.blue(`\n🐦 Twitter Collection Status${account ? ` - ${account}` : ''}\n`));
 
     // Display current activity
     if (isReset) {
@@ -121,12 +349,23 @@ class Logger {
 
     // Add current status
     table.push(
-      ['Total Tweets Collected', chalk.green(totalCollected.toLocaleString())],
+      ['Total Tweets Collected', chalk.green(totalCollected.toLocaleString())]
+    );
+
+    if (percent !== null) {
+      table.push(
+        ['Progress', `${chalk.green(`${percent.toFixed(1)}%`)} of ${expectedTotal.toLocaleString()} tweets`],
+        ['ETA', etaMs === null ? chalk.dim('estimating...') : chalk.cyan(formatDuration(etaMs))]
+      );
+    }
+
+    table.push(
       ['Collection Rate', `${chalk.cyan(this.collectionStats.tweetsPerMinute)} tweets/minute`],
       ['Current Delay', `${chalk.yellow(this.collectionStats.currentDelay)}ms`],
       ['Batch Efficiency', `${chalk.cyan((this.collectionStats.batchesWithNewTweets / this.collectionStats.totalBatches * 100).toFixed(1))}%`],
       ['Position Resets', chalk.yellow(this.collectionStats.resets)],
-      ['Rate Limit Hits', chalk.red(this.collectionStats.rateLimitHits)]
+      ['Rate Limit Hits', chalk.red(this.collectionStats.rateLimitHits)],
+      ['Rate Limit Waits', `${chalk.yellow(rateLimitWaits)} (${formatDuration(rateLimitWaitMs)})`]
     );
 
     // Add date range if we have it
@@ -145,6 +384,7 @@ class Logger {
     // Add running time
     const runningTime = Math.floor((Date.now() - this.collectionStats.startTime) / 1000);
     console.log(chalk.dim(`\nRunning for ${Math.floor(runningTime / 60)}m ${runningTime % 60}s`));
+    this.spinner?.render();
   }
 
   static recordRateLimit() {
@@ -152,7 +392,22 @@ class Logger {
     this.collectionStats.lastResetTime = Date.now();
   }
 
+  /**
+   * Adds time spent waiting out rate limits and request budgets.
+   * @param {number} ms
+   */
+  static recordRateLimitWait(ms) {
+    this.collectionStats.rateLimitWaits++;
+    this.collectionStats.rateLimitWaitMs += ms;
+  }
+
   static stats(title, data) {
+    const counters = Object.fromEntries(
+      Object.entries(data).map(([key, value]) => [key, stripVTControlCharacters(String(value))])
+    );
+    this.log('stats', title, counters);
+    if (this.format === 'json') return;
+
     console.log(chalk.cyan(`\n📊 ${title}:`));
     const table = new Table({
       head: [chalk.white('Parameter'), chalk.white('Value')],
@@ -164,21 +419,17 @@ class Logger {
     console.log(table.toString());
   }
 
+  /**
+   * Starts the current run's collection stats over.
+   */
   static reset() {
-    this.collectionStats = {
-      oldestTweet: null,
-      newestTweet: null,
-      rateLimitHits: 0,
-      resets: 0,
-      batchesWithNewTweets: 0,
-      totalBatches: 0,
-      startTime: Date.now(),
-      tweetsPerMinute: 0,
-      currentDelay: 0,
-      lastResetTime: null
-    };
-    this.lastUpdate = Date.now();
+    const { progress } = this;
+    progress.stats = emptyCollectionStats();
+    progress.lastUpdate = 0;
   }
 }
 
+// Colors off when piped; entry points pick other formats (and LOG_FORMAT)
+Logger.configure();
+
 export default Logger;
@@ -0,0 +1,244 @@
+// MediaArchiver.js
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import axios from 'axios';
+import FileLock from './FileLock.js';
+import Logger from './Logger.js';
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+};
+
+/**
+ * Downloads tweet photos and videos into a snapshot's raw/media folder.
+ * Files are content-addressed (sha256) in a shared store so identical media
+ * is kept once across tweets and accounts, then linked into each snapshot.
+ */
+class MediaArchiver {
+  constructor(mediaDir, storeDir = path.join(process.cwd(), 'media')) {
+    this.mediaDir = mediaDir;
+    this.manifestPath = path.join(mediaDir, 'manifest.json');
+    this.storeDir = storeDir;
+    this.indexPath = path.join(storeDir, 'index.json');
+    this.index = {};
+    // Entries this run added to the shared index
+    this.added = {};
+  }
+
+  async loadJson(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Archives the media of every tweet and writes the manifest.
+   * @param {object[]} tweets - Collected tweets.
+   * @returns {Promise<object>} Counts of downloaded, reused and failed files.
+   */
+  async archive(tweets) {
+    await fs.mkdir(this.mediaDir, { recursive: true });
+    await fs.mkdir(this.storeDir, { recursive: true });
+    this.index = await this.loadJson(this.indexPath);
+    const manifest = await this.loadJson(this.manifestPath);
+    const counts = { downloaded: 0, reused: 0, failed: 0 };
+
+    for (const tweet of tweets) {
+      const items = [
+        ...(tweet.photos || []).map((photo) => ({ type: 'photo', url: photo.url })),
+        ...(tweet.videos || []).map((video) => ({ type: 'video', url: video.url })),
+      ].filter((item) => /^https?:\/\//.test(item.url || ''));
+
+      for (const item of items) {
+        if (manifest[tweet.id]?.some((entry) => entry.url === item.url)) {
+          counts.reused++;
+          continue;
+        }
+
+        try {
+          const { entry, downloaded } = await this.storeMedia(item.url);
+          await this.linkIntoSnapshot(entry.file);
+
+          manifest[tweet.id] = manifest[tweet.id] || [];
+          manifest[tweet.id].push({
+            type: item.type,
+            url: item.url,
+            file: entry.file,
+            sha256: entry.sha256,
+            mimeType: entry.mimeType,
+            bytes: entry.bytes,
+            width: entry.width,
+            height: entry.height,
+          });
+          downloaded ? counts.downloaded++ : counts.reused++;
+        } catch (error) {
+          counts.failed++;
+          Logger.warn(`⚠️  Failed to archive ${item.url}: ${error.message}`);
+        }
+      }
+    }
+
+    await FileLock.writeAtomic(this.manifestPath, JSON.stringify(manifest, null, 2));
+    await this.saveIndex();
+    Logger.success(`✅ Saved media manifest to ${this.manifestPath}`);
+
+    return counts;
+  }
+
+  /**
+   * Merges this run's entries into the shared index, which other pipelines
+   * of a batch may have updated since it was loaded.
+   */
+  async saveIndex() {
+    await FileLock.withLock(this.indexPath, async () => {
+      this.index = { ...(await this.loadJson(this.indexPath)), ...this.added };
+      await FileLock.writeAtomic(this.indexPath, JSON.stringify(this.index, null, 2));
+    });
+  }
+
+  /**
+   * Downloads a URL into the shared store unless it is already there.
+   * @param {string} url - Media URL.
+   * @returns {Promise<{entry: object, downloaded: boolean}>}
+   */
+  async storeMedia(url) {
+    const known = this.index[url];
+    if (known && (await this.exists(path.join(this.storeDir, known.file)))) {
+      return { entry: known, downloaded: false };
+    }
+
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: 60000,
+    });
+    const buffer = Buffer.from(response.data);
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    const mimeType = (response.headers['content-type'] || '').split(';')[0].trim();
+    const extension =
+      EXTENSIONS[mimeType] || path.extname(new URL(url).pathname).slice(1) || 'bin';
+    const file = `${sha256}.${extension}`;
+
+    // Identical bytes from another URL are stored once
+    const storePath = path.join(this.storeDir, file);
+    if (!(await this.exists(storePath))) {
+      await FileLock.writeAtomic(storePath, buffer);
+    }
+
+    const entry = {
+      file,
+      sha256,
+      mimeType,
+      bytes: buffer.length,
+      ...this.readDimensions(buffer),
+    };
+    this.index[url] = entry;
+    this.added[url] = entry;
+    return { entry, downloaded: true };
+  }
+
+  async linkIntoSnapshot(file) {
+    const target = path.join(this.mediaDir, file);
+    if (await this.exists(target)) return;
+
+    try {
+      await fs.link(path.join(this.storeDir, file), target);
+    } catch {
+      // Hard links fail across devices
+      await fs.copyFile(path.join(this.storeDir, file), target);
+    }
+  }
+
+  async exists(filePath) {
+    return fs.access(filePath).then(() => true, () => false);
+  }
+
+  /**
+   * Reads width and height from PNG, GIF, JPEG, WebP and MP4 headers.
+   * @param {Buffer} buffer - File contents.
+   * @returns {{width: number|null, height: number|null}}
+   */
+  readDimensions(buffer) {
+    const none = { width: null, height: null };
+
+    try {
+      // PNG: IHDR follows the 8-byte signature
+      if (buffer.readUInt32BE(0) === 0x89504e47) {
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+      }
+
+      // GIF
+      if (buffer.toString('ascii', 0, 3) === 'GIF') {
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+      }
+
+      // WebP (lossy, lossless and extended)
+      if (
+        buffer.toString('ascii', 0, 4) === 'RIFF' &&
+        buffer.toString('ascii', 8, 12) === 'WEBP'
+      ) {
+        const chunk = buffer.toString('ascii', 12, 16);
+        if (chunk === 'VP8 ') {
+          return {
+            width: buffer.readUInt16LE(26) & 0x3fff,
+            height: buffer.readUInt16LE(28) & 0x3fff,
+          };
+        }
+        if (chunk === 'VP8L') {
+          const bits = buffer.readUInt32LE(21);
+          return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+        }
+        if (chunk === 'VP8X') {
+          return {
+            width: buffer.readUIntLE(24, 3) + 1,
+            height: buffer.readUIntLE(27, 3) + 1,
+          };
+        }
+        return none;
+      }
+
+      // JPEG: scan markers for a start-of-frame segment
+      if (buffer.readUInt16BE(0) === 0xffd8) {
+        let offset = 2;
+        while (offset < buffer.length) {
+          if (buffer[offset] !== 0xff) return none;
+          const marker = buffer[offset + 1];
+          const length = buffer.readUInt16BE(offset + 2);
+          if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            return {
+              height: buffer.readUInt16BE(offset + 5),
+              width: buffer.readUInt16BE(offset + 7),
+            };
+          }
+          offset += 2 + length;
+        }
+        return none;
+      }
+
+      // MP4: first track header with a non-zero size
+      if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+        let offset = buffer.indexOf('tkhd');
+        while (offset !== -1) {
+          const version = buffer[offset + 4];
+          const sizeOffset = offset + 4 + (version === 1 ? 88 : 76);
+          const width = buffer.readUInt32BE(sizeOffset) / 65536;
+          const height = buffer.readUInt32BE(sizeOffset + 4) / 65536;
+          if (width && height) return { width, height };
+          offset = buffer.indexOf('tkhd', offset + 4);
+        }
+      }
+    } catch {
+      // Truncated or unexpected header
+    }
+
+    return none;
+  }
+}
+
+export default MediaArchiver;
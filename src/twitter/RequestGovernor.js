@@ -0,0 +1,307 @@
+// RequestGovernor.js
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import path from 'path';
+import FileLock from './FileLock.js';
+import Logger from './Logger.js';
+
+// Requests allowed per endpoint in every 15 minute window
+export const DEFAULT_BUDGETS = {
+  search: 50,
+  tweet: 150,
+  profile: 95,
+  follows: 50,
+  auth: 30,
+  other: 150,
+};
+
+const WINDOW_MS = 15 * 60 * 1000;
+const BASE_BACKOFF_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 15 * 60 * 1000;
+const AUTH_LOCK_BACKOFF_MS = 60 * 60 * 1000;
+
+// Twitter's "account temporarily locked" (326) and "suspended" (64) errors
+const AUTH_LOCK_PATTERN =
+  /"code":\s*(326|64)\b|temporarily locked|account is suspended|DenyLoginSubtask/i;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Token bucket in front of every request the scraper makes. Budgets are per
+ * endpoint and persisted (with a lock file) so back-to-back and parallel runs
+ * share them. 429s and account locks put the endpoint, or every endpoint,
+ * into a persisted backoff. State is kept per scope (the logged-in account),
+ * so every pooled account has its own budgets.
+ *
+ * Emits 'request' (endpoint), 'rateLimit' ({ endpoint, delay }), 'wait'
+ * ({ endpoint, wait, reason }) before sleeping and 'authLock' ({ reason }).
+ */
+class RequestGovernor extends EventEmitter {
+  constructor({
+    statePath = path.join(process.cwd(), 'cache', 'rate_limits.json'),
+    budgets = DEFAULT_BUDGETS,
+    fetch = globalThis.fetch,
+    scope = process.env.TWITTER_USERNAME || 'default',
+    maxWait = Infinity,
+  } = {}) {
+    super();
+    this.statePath = statePath;
+    this.budgets = { ...DEFAULT_BUDGETS, ...budgets };
+    this.innerFetch = fetch;
+    this.scope = scope;
+    // Backoffs longer than this fail the request instead of waiting: one
+    // limit for every endpoint, or limits by endpoint ({ search: 60000 })
+    this.maxWait = maxWait;
+    this.lastAbort = null;
+
+    // Handed to the Scraper as its fetch implementation
+    this.fetch = (input, init) => this.request(input, init);
+  }
+
+  /**
+   * Maps a Twitter API URL to the endpoint whose budget it spends.
+   * @param {string} url - Request URL.
+   * @returns {string} Key of DEFAULT_BUDGETS.
+   */
+  static classify(url) {
+    if (/\/graphql\/[^/]+\/SearchTimeline/.test(url)) return 'search';
+    if (/\/graphql\/[^/]+\/(TweetDetail|TweetResultByRestId)/.test(url)) return 'tweet';
+    if (/\/graphql\/[^/]+\/(UserByScreenName|UserByRestId)/.test(url)) return 'profile';
+    if (/\/graphql\/[^/]+\/(Following|Followers)\b/.test(url)) return 'follows';
+    if (/onboarding\/task|guest\/activate|verify_credentials|account\/logout/.test(url)) {
+      return 'auth';
+    }
+    return 'other';
+  }
+
+  /**
+   * Whether an error from the scraper means the account is locked or suspended.
+   * @param {Error} error - Error thrown by agent-twitter-client.
+   * @returns {boolean}
+   */
+  static isAuthLockError(error) {
+    const details = `${error?.message || ''} ${error?.data ? JSON.stringify(error.data) : ''}`;
+    return AUTH_LOCK_PATTERN.test(details);
+  }
+
+  /**
+   * Returns (and forgets) the error of the last request that failed instead of
+   * waiting out a backoff. The scraper only reports "Failed to perform request."
+   * @returns {Error|null} Error with reason 'rate limited' or 'locked'.
+   */
+  takeAbort() {
+    const abort = this.lastAbort;
+    this.lastAbort = null;
+    return abort;
+  }
+
+  async request(input, init) {
+    const url = typeof input === 'string' ? input : input.url || String(input);
+    const endpoint = RequestGovernor.classify(url);
+
+    await this.acquire(endpoint);
+    this.emit('request', endpoint);
+
+    const response = await this.innerFetch(input, init);
+    await this.inspect(endpoint, response);
+    return response;
+  }
+
+  /**
+   * Waits until the endpoint is out of backoff and has a token, then takes it.
+   * @param {string} endpoint - Budget to spend.
+   */
+  async acquire(endpoint) {
+    while (true) {
+      const { wait, reason, locked } = await this.withState((state) => {
+        const now = Date.now();
+        const backoff = [state.backoff.global, state.backoff[endpoint]]
+          .filter((entry) => entry?.until > now)
+          .sort((a, b) => b.until - a.until)[0];
+        if (backoff) {
+          return {
+            wait: backoff.until - now,
+            reason: backoff.reason || 'rate limit backoff',
+            locked: backoff === state.backoff.global,
+          };
+        }
+
+        const bucket = this.refill(state, endpoint, now);
+        if (bucket.tokens >= 1) {
+          bucket.tokens -= 1;
+          return { wait: 0 };
+        }
+        const perMs = this.budgetFor(endpoint) / WINDOW_MS;
+        return { wait: Math.ceil((1 - bucket.tokens) / perMs), reason: 'budget spent' };
+      });
+
+      if (wait <= 0) return;
+      if (reason !== 'budget spent' && wait > this.maxWaitFor(endpoint)) {
+        const error = new Error(
+          `${endpoint} requests for @${this.scope} are paused for ${(wait / 1000).toFixed(0)} seconds (${reason})`
+        );
+        error.reason = locked ? 'locked' : 'rate limited';
+        error.scope = this.scope;
+        this.lastAbort = error;
+        throw error;
+      }
+      if (wait > 5000) {
+        Logger.warn(`⏳ ${endpoint} requests paused for ${(wait / 1000).toFixed(0)} seconds (${reason})`);
+      }
+      this.emit('wait', { endpoint, wait, reason });
+      await sleep(wait);
+    }
+  }
+
+  /**
+   * Calibrates the bucket from Twitter's rate limit headers and backs off on
+   * 429s and account locks.
+   */
+  async inspect(endpoint, response) {
+    const remaining = parseInt(response.headers?.get('x-rate-limit-remaining'));
+    const reset = parseInt(response.headers?.get('x-rate-limit-reset'));
+
+    if (response.status === 429) {
+      await this.penalize(endpoint, reset ? reset * 1000 : null);
+      return;
+    }
+
+    if ([400, 401, 403].includes(response.status)) {
+      const body = await response.clone().text().catch(() => '');
+      if (AUTH_LOCK_PATTERN.test(body)) {
+        await this.lockout(`account locked (HTTP ${response.status})`);
+        return;
+      }
+    }
+
+    await this.withState((state) => {
+      const now = Date.now();
+      delete state.backoff[endpoint];
+
+      // Twitter's own count wins when it is lower than ours
+      if (!Number.isNaN(remaining)) {
+        const bucket = this.refill(state, endpoint, now);
+        bucket.tokens = Math.min(bucket.tokens, remaining);
+        if (remaining === 0 && reset) {
+          state.backoff[endpoint] = { until: reset * 1000, consecutive: 0, reason: 'window exhausted' };
+        }
+      }
+    });
+  }
+
+  /**
+   * Records a rate limit and puts the endpoint into exponential backoff.
+   * @param {string} endpoint - Rate-limited endpoint.
+   * @param {number|null} [resetAt] - When Twitter says the window resets (ms).
+   * @returns {Promise<number>} delay - Milliseconds until the endpoint may be used again.
+   */
+  async penalize(endpoint, resetAt = null) {
+    const delay = await this.withState((state) => {
+      const now = Date.now();
+      const consecutive = (state.backoff[endpoint]?.consecutive || 0) + 1;
+      const exponential = Math.min(
+        BASE_BACKOFF_MS * Math.pow(2, consecutive - 1) * (1 + Math.random() * 0.1),
+        MAX_BACKOFF_MS
+      );
+      const until = Math.max(resetAt || 0, now + exponential);
+
+      state.backoff[endpoint] = { until, consecutive, reason: 'rate limited' };
+      if (state.buckets[endpoint]) state.buckets[endpoint].tokens = 0;
+      return until - now;
+    });
+
+    this.emit('rateLimit', { endpoint, delay });
+    return delay;
+  }
+
+  /**
+   * Pauses every endpoint after the account was locked or suspended.
+   * @param {string} reason - Shown while requests wait.
+   */
+  async lockout(reason) {
+    await this.withState((state) => {
+      state.backoff.global = { until: Date.now() + AUTH_LOCK_BACKOFF_MS, reason };
+    });
+    Logger.error(
+      `🔒 ${reason} - pausing all requests for ${AUTH_LOCK_BACKOFF_MS / 60000} minutes. Unlock the account in the browser before retrying.`
+    );
+    this.emit('authLock', { reason });
+  }
+
+  /**
+   * @param {string} endpoint
+   * @returns {Promise<number>} Milliseconds until the endpoint is out of backoff.
+   */
+  async backoffFor(endpoint) {
+    const state = await this.readState();
+    const until = Math.max(state.backoff.global?.until || 0, state.backoff[endpoint]?.until || 0);
+    return Math.max(0, until - Date.now());
+  }
+
+  /**
+   * Resolves once the endpoint's backoff (if any) has passed. Backoffs longer
+   * than maxWait aren't waited out: the next request fails on them instead.
+   * @param {string} endpoint - Endpoint to wait for.
+   */
+  async waitForBackoff(endpoint) {
+    const wait = await this.backoffFor(endpoint);
+    if (wait > 0 && wait <= this.maxWaitFor(endpoint)) {
+      this.emit('wait', { endpoint, wait, reason: 'rate limit backoff' });
+      await sleep(wait);
+    }
+  }
+
+  budgetFor(endpoint) {
+    return this.budgets[endpoint] || this.budgets.other;
+  }
+
+  maxWaitFor(endpoint) {
+    if (typeof this.maxWait === 'number') return this.maxWait;
+    return this.maxWait?.[endpoint] ?? Infinity;
+  }
+
+  refill(state, endpoint, now) {
+    const capacity = this.budgetFor(endpoint);
+    const bucket = state.buckets[endpoint] || { tokens: capacity, updatedAt: now };
+    const refilled = ((now - bucket.updatedAt) * capacity) / WINDOW_MS;
+
+    bucket.tokens = Math.min(capacity, bucket.tokens + Math.max(0, refilled));
+    bucket.updatedAt = now;
+    state.buckets[endpoint] = bucket;
+    return bucket;
+  }
+
+  async readScopes() {
+    try {
+      const scopes = JSON.parse(await fs.readFile(this.statePath, 'utf-8'));
+      // Files from before state was scoped have buckets at the top level
+      delete scopes.buckets;
+      delete scopes.backoff;
+      return scopes;
+    } catch {
+      return {};
+    }
+  }
+
+  async readState() {
+    const state = (await this.readScopes())[this.scope] || {};
+    return { buckets: state.buckets || {}, backoff: state.backoff || {} };
+  }
+
+  /**
+   * Reads, updates and writes the shared state while holding the lock file.
+   * @param {function(object): *} update - Mutates the state; its result is returned.
+   */
+  async withState(update) {
+    return FileLock.withLock(this.statePath, async () => {
+      const scopes = await this.readScopes();
+      const state = { buckets: {}, backoff: {}, ...scopes[this.scope] };
+      const result = update(state);
+      scopes[this.scope] = state;
+      await FileLock.writeAtomic(this.statePath, JSON.stringify(scopes, null, 2));
+      return result;
+    });
+  }
+}
+
+export default RequestGovernor;
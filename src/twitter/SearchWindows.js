@@ -0,0 +1,171 @@
+// SearchWindows.js
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// First day search can return tweets for when the account's join date is unknown
+const TWITTER_LAUNCH = '2006-03-21';
+
+/**
+ * Splits a date range into since:/until: search windows, newest first.
+ * Twitter stops returning results past a certain depth without saying so,
+ * so a window that returns at least resultCap results is assumed to be cut
+ * short: the rest of it is searched again in smaller windows. Windows that
+ * come back sparse let the size grow again.
+ */
+class SearchWindows {
+  /**
+   * @param {object} options
+   * @param {string} options.since - First day to search (yyyy-MM-dd).
+   * @param {string} options.until - Day after the last day to search (yyyy-MM-dd).
+   * @param {number} [options.days=30] - Size of the first window in days.
+   * @param {number} [options.maxDays=365] - Largest window size.
+   * @param {number} [options.resultCap=500] - Results that mark a window as cut short.
+   */
+  constructor({ since, until, days = 30, maxDays = 365, resultCap = 500 }) {
+    this.since = SearchWindows.parseDay(since);
+    this.until = SearchWindows.parseDay(until);
+    this.days = days;
+    this.maxDays = maxDays;
+    this.resultCap = resultCap;
+    // End of the next window; everything from here to `until` is done
+    this.cursor = this.until;
+    this.windows = [];
+  }
+
+  /**
+   * @param {string|number|Date} value - Date, or yyyy-MM-dd.
+   * @returns {number} Midnight UTC of that day.
+   */
+  static parseDay(value) {
+    const time = new Date(value).getTime();
+    if (isNaN(time)) throw new Error(`Invalid date: ${value}`);
+    return Math.floor(time / DAY_MS) * DAY_MS;
+  }
+
+  /**
+   * @param {number} time - Milliseconds.
+   * @returns {string} yyyy-MM-dd (UTC).
+   */
+  static formatDay(time) {
+    return new Date(time).toISOString().split('T')[0];
+  }
+
+  /**
+   * Works out the days to search for --start-date/--end-date. The end date is
+   * inclusive; without a start date the search begins when the account joined.
+   * @param {object} options
+   * @param {string} [options.startDate] - yyyy-MM-dd.
+   * @param {string} [options.endDate] - yyyy-MM-dd.
+   * @param {string|Date} [options.joined] - Account creation date.
+   * @param {number} [options.after] - Only tweets after this timestamp are needed.
+   * @returns {{since: string, until: string}}
+   */
+  static range({ startDate, endDate, joined, after }) {
+    const starts = [SearchWindows.parseDay(startDate || joined || TWITTER_LAUNCH)];
+    if (after) starts.push(SearchWindows.parseDay(after));
+    const until = SearchWindows.parseDay(endDate || Date.now()) + DAY_MS;
+
+    return {
+      since: SearchWindows.formatDay(Math.max(...starts)),
+      until: SearchWindows.formatDay(until),
+    };
+  }
+
+  /**
+   * Adds the window's since:/until: operators to a query.
+   * @param {string} query - Search query without dates.
+   * @param {{since: string, until: string}} window
+   * @returns {string}
+   */
+  static query(query, window) {
+    return `${query} since:${window.since} until:${window.until}`;
+  }
+
+  /**
+   * Restores windows saved by toJSON() when they cover the same range.
+   * @param {object} state - Saved meta/windows.json.
+   * @param {object} options - Constructor options.
+   * @returns {SearchWindows}
+   */
+  static restore(state, options) {
+    const windows = new SearchWindows(options);
+    const sameRange =
+      state &&
+      SearchWindows.parseDay(state.since) === windows.since &&
+      SearchWindows.parseDay(state.until) === windows.until;
+    if (!sameRange) return windows;
+
+    windows.cursor = SearchWindows.parseDay(state.cursor);
+    windows.days = state.days || windows.days;
+    windows.windows = state.windows || [];
+    return windows;
+  }
+
+  /**
+   * @returns {{since: string, until: string}|null} Next window, or null when the range is done.
+   */
+  next() {
+    if (this.cursor <= this.since) return null;
+
+    const since = Math.max(this.since, this.cursor - this.days * DAY_MS);
+    return {
+      since: SearchWindows.formatDay(since),
+      until: SearchWindows.formatDay(this.cursor),
+    };
+  }
+
+  /**
+   * Records how a window's search went and moves on.
+   * @param {{since: string, until: string}} window - Window from next().
+   * @param {object} result
+   * @param {number} result.results - Tweets the search returned.
+   * @param {number|null} result.oldest - Timestamp of the oldest tweet returned.
+   * @param {boolean} [result.chronological=true] - Whether results came newest
+   *   first (Latest), so a cut-short window is covered down to its oldest tweet.
+   * @returns {object} The recorded window: since, until, status ("complete",
+   *   "capped" or "split", with coveredFrom), results and completedAt.
+   */
+  complete(window, { results, oldest, chronological = true }) {
+    const since = SearchWindows.parseDay(window.since);
+    const until = SearchWindows.parseDay(window.until);
+    const span = Math.round((until - since) / DAY_MS);
+    const capped = results >= this.resultCap;
+
+    let record;
+    if (!capped) {
+      record = { ...window, status: 'complete' };
+      this.cursor = since;
+      if (results < this.resultCap / 4) this.days = Math.min(this.maxDays, this.days * 2);
+    } else if (span <= 1) {
+      // Search can't be narrowed below a day, so some of its tweets may be missing
+      record = { ...window, status: 'capped' };
+      this.cursor = since;
+    } else {
+      // The oldest day reached may be partial, so it is searched again
+      const coveredFrom =
+        chronological && oldest
+          ? Math.min(until, Math.max(since, SearchWindows.parseDay(oldest) + DAY_MS))
+          : until;
+      record = { ...window, status: 'split', coveredFrom: SearchWindows.formatDay(coveredFrom) };
+      this.cursor = coveredFrom;
+      this.days = Math.max(1, Math.floor(span / 2));
+    }
+
+    record = { ...record, results, completedAt: new Date().toISOString() };
+    this.windows.push(record);
+    return record;
+  }
+
+  toJSON() {
+    return {
+      since: SearchWindows.formatDay(this.since),
+      until: SearchWindows.formatDay(this.until),
+      cursor: SearchWindows.formatDay(this.cursor),
+      days: this.days,
+      resultCap: this.resultCap,
+      windows: this.windows,
+    };
+  }
+}
+
+export default SearchWindows;
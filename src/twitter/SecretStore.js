@@ -0,0 +1,128 @@
+// SecretStore.js
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { promisify } from 'util';
+import FileLock from './FileLock.js';
+
+const scrypt = promisify(crypto.scrypt);
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Reads and writes JSON files that may be encrypted at rest. With a
+ * passphrase (TWITTER_STORE_PASSPHRASE) files are written with AES-256-GCM
+ * under a scrypt-derived key; plaintext files are still read, so existing
+ * cookies are encrypted the next time they are saved.
+ */
+class SecretStore {
+  constructor(passphrase = process.env.TWITTER_STORE_PASSPHRASE) {
+    this.passphrase = passphrase || null;
+  }
+
+  get enabled() {
+    return Boolean(this.passphrase);
+  }
+
+  /**
+   * Whether parsed file contents are an encrypted envelope.
+   * @param {*} payload - Parsed JSON.
+   * @returns {boolean}
+   */
+  static isEncrypted(payload) {
+    return payload?.encrypted === ALGORITHM && typeof payload.data === 'string';
+  }
+
+  async deriveKey(salt) {
+    return scrypt(this.passphrase, salt, 32);
+  }
+
+  /**
+   * @param {*} value - Anything JSON serializable.
+   * @returns {Promise<object>} envelope - Base64 salt, iv, auth tag and ciphertext.
+   */
+  async encrypt(value) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, await this.deriveKey(salt), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf-8'), cipher.final()]);
+
+    return {
+      encrypted: ALGORITHM,
+      kdf: 'scrypt',
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+    };
+  }
+
+  /**
+   * @param {object} envelope - Output of encrypt().
+   * @returns {Promise<*>} The original value.
+   */
+  async decrypt(envelope) {
+    const decipher = crypto.createDecipheriv(
+      ALGORITHM,
+      await this.deriveKey(Buffer.from(envelope.salt, 'base64')),
+      Buffer.from(envelope.iv, 'base64')
+    );
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const data = Buffer.concat([
+      decipher.update(Buffer.from(envelope.data, 'base64')),
+      decipher.final(),
+    ]);
+    return JSON.parse(data.toString('utf-8'));
+  }
+
+  /**
+   * Reads a JSON file, decrypting it when needed.
+   * @param {string} filePath - File to read.
+   * @returns {Promise<*>} Parsed contents, or null if the file doesn't exist.
+   */
+  async readJson(filePath) {
+    let payload;
+    try {
+      payload = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    if (!SecretStore.isEncrypted(payload)) return payload;
+    if (!this.enabled) {
+      throw new Error(`${filePath} is encrypted - set TWITTER_STORE_PASSPHRASE to read it`);
+    }
+
+    try {
+      return await this.decrypt(payload);
+    } catch {
+      throw new Error(`Could not decrypt ${filePath} - is TWITTER_STORE_PASSPHRASE right?`);
+    }
+  }
+
+  /**
+   * Writes a JSON file readable only by the current user, encrypted when a
+   * passphrase is set.
+   * @param {string} filePath - File to write.
+   * @param {*} value - Contents.
+   */
+  async writeJson(filePath, value) {
+    const payload = this.enabled ? await this.encrypt(value) : value;
+
+    await FileLock.withLock(filePath, async () => {
+      // Never replace an encrypted file with plaintext
+      if (!this.enabled) {
+        const existing = await fs.readFile(filePath, 'utf-8').catch(() => null);
+        if (existing && SecretStore.isEncrypted(JSON.parse(existing))) {
+          throw new Error(`${filePath} is encrypted - set TWITTER_STORE_PASSPHRASE to overwrite it`);
+        }
+      }
+
+      await FileLock.writeAtomic(filePath, JSON.stringify(payload, null, 2), {
+        encoding: 'utf-8',
+        mode: 0o600,
+      });
+    });
+  }
+}
+
+export default SecretStore;
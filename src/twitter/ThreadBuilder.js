@@ -0,0 +1,167 @@
+// ThreadBuilder.js
+import Logger from './Logger.js';
+
+class ThreadBuilder {
+  /**
+   * Reconstructs conversations from collected tweets.
+   * @param {string|null} username - Target account; threads made only of its tweets are
+   *   self-threads. Without one (query runs), any single-author thread counts.
+   * @param {function(string): Promise<object|null>} fetchTweet - Loads a processed tweet by id.
+   * @param {object} [options]
+   * @param {number} [options.maxDepth=10] - Parents fetched above a single tweet.
+   */
+  constructor(username, fetchTweet, { maxDepth = 10 } = {}) {
+    this.username = username?.toLowerCase() || null;
+    this.fetchTweet = fetchTweet;
+    this.maxDepth = maxDepth;
+  }
+
+  /**
+   * Fetches reply parents that are not part of the collection.
+   * @param {object[]} tweets - Collected tweets.
+   * @returns {Promise<Map<string, object>>} Every known tweet by id, parents included.
+   */
+  async fetchMissingParents(tweets) {
+    const known = new Map(tweets.map((tweet) => [tweet.id, tweet]));
+    const unavailable = new Set();
+    let fetched = 0;
+
+    for (const tweet of tweets) {
+      let parentId = tweet.inReplyToStatusId;
+      let depth = 0;
+
+      while (
+        parentId &&
+        !known.has(parentId) &&
+        !unavailable.has(parentId) &&
+        depth < this.maxDepth
+      ) {
+        let parent = null;
+        try {
+          parent = await this.fetchTweet(parentId);
+        } catch (error) {
+          Logger.warn(`⚠️  Could not fetch parent tweet ${parentId}: ${error.message}`);
+        }
+
+        if (!parent) {
+          unavailable.add(parentId);
+          break;
+        }
+
+        known.set(parent.id, parent);
+        fetched++;
+        parentId = parent.inReplyToStatusId;
+        depth++;
+      }
+    }
+
+    Logger.info(
+      `🧵 Fetched ${fetched.toLocaleString()} missing parent tweets (${unavailable.size.toLocaleString()} unavailable)`
+    );
+    return known;
+  }
+
+  /**
+   * Groups tweets into conversation trees.
+   * @param {object[]} tweets - Collected tweets.
+   * @param {Map<string, object>} known - Collected and fetched tweets by id.
+   * @returns {object[]} threads - One entry per conversation with two or more tweets.
+   */
+  build(tweets, known) {
+    const children = new Map();
+    for (const tweet of known.values()) {
+      if (!tweet.inReplyToStatusId || !known.has(tweet.inReplyToStatusId)) continue;
+      if (!children.has(tweet.inReplyToStatusId)) {
+        children.set(tweet.inReplyToStatusId, []);
+      }
+      children.get(tweet.inReplyToStatusId).push(tweet);
+    }
+
+    // Walk every collected tweet up to the oldest known ancestor
+    const roots = new Map();
+    for (const tweet of tweets) {
+      let root = tweet;
+      const visited = new Set([root.id]);
+      while (
+        root.inReplyToStatusId &&
+        known.has(root.inReplyToStatusId) &&
+        !visited.has(root.inReplyToStatusId)
+      ) {
+        root = known.get(root.inReplyToStatusId);
+        visited.add(root.id);
+      }
+      roots.set(root.id, root);
+    }
+
+    const threads = [];
+    for (const root of roots.values()) {
+      const members = [];
+      const tree = this.buildNode(root, children, members);
+      if (members.length < 2) continue;
+
+      members.sort((a, b) => a.timestamp - b.timestamp);
+      const author = this.username || members[0].username?.toLowerCase();
+      const isSelfThread = members.every(
+        (tweet) => tweet.username?.toLowerCase() === author
+      );
+
+      threads.push({
+        conversationId: root.conversationId || root.id,
+        rootId: root.id,
+        isSelfThread,
+        length: members.length,
+        participants: [...new Set(members.map((tweet) => tweet.username))],
+        startedAt: members[0].createdAt,
+        // Self-threads read as one post, in the order they were written
+        text: isSelfThread
+          ? members.map((tweet) => tweet.text).join('\n\n')
+          : undefined,
+        tree,
+      });
+    }
+
+    return threads.sort((a, b) => b.length - a.length);
+  }
+
+  buildNode(tweet, children, members) {
+    members.push(tweet);
+    const replies = (children.get(tweet.id) || [])
+      .filter((reply) => !members.includes(reply))
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map((reply) => this.buildNode(reply, children, members));
+
+    return {
+      id: tweet.id,
+      username: tweet.username,
+      text: tweet.text,
+      createdAt: tweet.createdAt,
+      permanentUrl: tweet.permanentUrl,
+      replies,
+    };
+  }
+
+  /**
+   * Summarizes threads for analytics.
+   * @param {object[]} threads - Output of build().
+   * @returns {object}
+   */
+  static summarize(threads) {
+    const selfThreads = threads.filter((thread) => thread.isSelfThread);
+    const totalLength = threads.reduce((sum, thread) => sum + thread.length, 0);
+
+    return {
+      totalThreads: threads.length,
+      selfThreads: selfThreads.length,
+      conversations: threads.length - selfThreads.length,
+      averageLength: threads.length
+        ? (totalLength / threads.length).toFixed(2)
+        : '0.00',
+      longestThread: threads.reduce(
+        (longest, thread) => Math.max(longest, thread.length),
+        0
+      ),
+    };
+  }
+}
+
+export default ThreadBuilder;
@@ -0,0 +1,75 @@
+// TweetCache.js
+import fs from 'fs/promises';
+import path from 'path';
+import FileLock from './FileLock.js';
+import Logger from './Logger.js';
+
+// Tweets that could not be fetched are tried again after this long, as the
+// failure may have been temporary
+const UNAVAILABLE_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Disk-backed cache of individually fetched tweets (quoted tweets, thread
+ * parents) so repeated runs don't spend requests on the same lookups.
+ * Tweets that could not be fetched are remembered as unavailable for a day.
+ */
+class TweetCache {
+  constructor(cachePath = path.join(process.cwd(), 'cache', 'tweets.json')) {
+    this.cachePath = cachePath;
+    this.entries = null;
+    // Entries fetched since the last save
+    this.changed = {};
+  }
+
+  async readEntries() {
+    try {
+      return JSON.parse(await fs.readFile(this.cachePath, 'utf-8'));
+    } catch {
+      return {};
+    }
+  }
+
+  async load() {
+    if (this.entries) return;
+    this.entries = await this.readEntries();
+  }
+
+  /**
+   * Returns a cached tweet or loads and caches it.
+   * @param {string} id - Tweet id.
+   * @param {function(string): Promise<object|null>} loader - Fetches the tweet on a miss.
+   * @returns {Promise<object|null>}
+   */
+  async get(id, loader) {
+    await this.load();
+
+    const entry = this.entries[id];
+    if (entry && !entry.unavailable) return entry;
+    if (entry && Date.now() - Date.parse(entry.checkedAt) < UNAVAILABLE_TTL_MS) return null;
+
+    const tweet = await loader(id);
+    this.entries[id] = tweet || { unavailable: true, checkedAt: new Date().toISOString() };
+    this.changed[id] = this.entries[id];
+    return tweet;
+  }
+
+  /**
+   * Merges the fetched tweets into the cache file, which other pipelines of a
+   * batch may have updated since it was loaded.
+   */
+  async save() {
+    if (Object.keys(this.changed).length === 0) return;
+
+    try {
+      await FileLock.withLock(this.cachePath, async () => {
+        this.entries = { ...(await this.readEntries()), ...this.changed };
+        await FileLock.writeAtomic(this.cachePath, JSON.stringify(this.entries));
+      });
+      this.changed = {};
+    } catch (error) {
+      Logger.warn(`⚠️  Failed to save tweet cache: ${error.message}`);
+    }
+  }
+}
+
+export default TweetCache;
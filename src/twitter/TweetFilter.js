@@ -1,15 +1,125 @@
 // TweetFilter.js
 import inquirer from 'inquirer';
+import fs from 'fs/promises';
 import { parseISO, isValid } from 'date-fns';
 import Table from 'cli-table3';
 import chalk from 'chalk';
 import Logger from './Logger.js';
+import SearchWindows from './SearchWindows.js';
+
+const TWEET_TYPES = ['original', 'replies', 'quotes', 'retweets'];
+const CONTENT_TYPES = ['text', 'images', 'videos', 'links'];
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 class TweetFilter {
   constructor() {
     this.options = {};
   }
 
+  /**
+   * Loads filter options from a JSON file so unattended runs filter the same
+   * way as the interactive prompts. Example:
+   * {
+   *   "tweetTypes": ["original", "replies"],
+   *   "contentTypes": ["text", "images", "videos", "links"],
+   *   "minLikes": 10,
+   *   "minRetweets": 0,
+   *   "startDate": "2024-01-01",
+   *   "endDate": "2024-12-31",
+   *   "excludeKeywords": ["giveaway"]
+   * }
+   * Omitted fields do not filter.
+   * @param {string} configPath - Path to the filter config file.
+   * @param {object} [options]
+   * @param {boolean} [options.quiet] - Don't print the loaded configuration.
+   * @returns {Promise<object>} options - Normalized filter options.
+   */
+  async loadConfig(configPath, { quiet = false } = {}) {
+    let config;
+    try {
+      config = JSON.parse(await fs.readFile(configPath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Could not read filter config ${configPath}: ${error.message}`);
+    }
+
+    const tweetTypes = config.tweetTypes || TWEET_TYPES;
+    const contentTypes = config.contentTypes || CONTENT_TYPES;
+    const invalidTypes = [
+      ...tweetTypes.filter((type) => !TWEET_TYPES.includes(type)),
+      ...contentTypes.filter((type) => !CONTENT_TYPES.includes(type)),
+    ];
+    if (invalidTypes.length > 0) {
+      throw new Error(
+        `Unknown filter types in ${configPath}: ${invalidTypes.join(', ')}`
+      );
+    }
+
+    const minLikes = Number(config.minLikes) || 0;
+    const minRetweets = Number(config.minRetweets) || 0;
+    const filterByDate = Boolean(config.startDate || config.endDate);
+    for (const key of ['startDate', 'endDate']) {
+      if (config[key] && !isValid(parseISO(config[key]))) {
+        throw new Error(`Invalid ${key} in ${configPath}: ${config[key]}`);
+      }
+    }
+    const keywordsToExclude = (config.excludeKeywords || [])
+      .map((k) => k.trim())
+      .filter((k) => k);
+
+    this.options = {
+      tweetTypes,
+      contentTypes,
+      filterByEngagement: minLikes > 0 || minRetweets > 0,
+      minLikes,
+      minRetweets,
+      filterByDate,
+      startDate: config.startDate,
+      endDate: config.endDate,
+      excludeKeywords: keywordsToExclude.length > 0,
+      keywordsToExclude,
+    };
+
+    if (!quiet) {
+      Logger.info(`Loaded filter config from ${configPath}`);
+      this.displayConfiguration();
+    }
+
+    return this.options;
+  }
+
+  /**
+   * Returns the active options in the filter config file format.
+   * @returns {object} config - Config that can be passed back to loadConfig.
+   */
+  toConfig() {
+    return {
+      tweetTypes: this.options.tweetTypes || TWEET_TYPES,
+      contentTypes: this.options.contentTypes || CONTENT_TYPES,
+      minLikes: this.options.filterByEngagement ? this.options.minLikes : 0,
+      minRetweets: this.options.filterByEngagement ? this.options.minRetweets : 0,
+      startDate: this.options.filterByDate ? this.options.startDate : null,
+      endDate: this.options.filterByDate ? this.options.endDate : null,
+      excludeKeywords: this.options.excludeKeywords
+        ? this.options.keywordsToExclude
+        : [],
+    };
+  }
+
+  /**
+   * Keeps every tweet and content type, without prompting.
+   * @returns {object} options - Filter options that include everything.
+   */
+  selectAll() {
+    this.options = {
+      tweetTypes: [...TWEET_TYPES],
+      contentTypes: [...CONTENT_TYPES],
+      filterByEngagement: false,
+      filterByDate: false,
+      excludeKeywords: false,
+    };
+    return this.options;
+  }
+
   async promptCollectionMode() {
     const { mode } = await inquirer.prompt([
       {
@@ -30,13 +140,7 @@ class TweetFilter {
     ]);
 
     if (mode === 'all') {
-      this.options = {
-        tweetTypes: ['original', 'replies', 'quotes', 'retweets'],
-        contentTypes: ['text', 'images', 'videos', 'links'],
-        filterByEngagement: false,
-        filterByDate: false,
-        excludeKeywords: false,
-      };
+      this.selectAll();
 
       Logger.info('\nCollection Configuration:');
       const configTable = new Table({
@@ -194,6 +298,28 @@ class TweetFilter {
       `Selected Content Types: ${this.options.contentTypes.join(', ')}`
     );
 
+    this.displayConfiguration();
+
+    const { confirmed } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmed',
+        message: 'Would you like to proceed with this configuration?',
+        default: true,
+      },
+    ]);
+
+    if (!confirmed) {
+      Logger.info('Restarting configuration...');
+      return this.promptCustomOptions();
+    }
+
+    return this.options;
+  }
+
+  displayConfiguration() {
+    const options = this.options;
+
     Logger.info('\nCollection Configuration:');
     const configTable = new Table({
       head: [chalk.white('Parameter'), chalk.white('Value')],
@@ -201,51 +327,39 @@ class TweetFilter {
     });
 
     configTable.push(
-      ['Tweet Types', answers.tweetTypes.join(', ')],
-      ['Content Types', answers.contentTypes.join(', ')]
+      ['Tweet Types', options.tweetTypes.join(', ')],
+      ['Content Types', options.contentTypes.join(', ')]
     );
 
-    if (answers.filterByEngagement) {
+    if (options.filterByEngagement) {
       configTable.push(
-        ['Min. Likes', answers.minLikes],
-        ['Min. Retweets', answers.minRetweets]
+        ['Min. Likes', options.minLikes],
+        ['Min. Retweets', options.minRetweets]
       );
     }
 
-    if (answers.filterByDate) {
+    if (options.filterByDate) {
       configTable.push([
         'Date Range',
-        `${answers.startDate} to ${answers.endDate}`,
+        `${options.startDate || 'beginning'} to ${options.endDate || 'now'}`,
       ]);
     }
 
-    if (answers.excludeKeywords) {
+    if (options.excludeKeywords) {
       configTable.push([
         'Excluded Keywords',
-        answers.keywordsToExclude.join(', '),
+        options.keywordsToExclude.join(', '),
       ]);
     }
 
     console.log(configTable.toString());
-
-    const { confirmed } = await inquirer.prompt([
-      {
-        type: 'confirm',
-        name: 'confirmed',
-        message: 'Would you like to proceed with this configuration?',
-        default: true,
-      },
-    ]);
-
-    if (!confirmed) {
-      Logger.info('Restarting configuration...');
-      return this.promptCustomOptions();
-    }
-
-    return this.options;
   }
 
   shouldIncludeTweet(tweet) {
+    if (!this.options.tweetTypes) {
+      return true;
+    }
+
     if (
       this.options.tweetTypes?.length === 4 &&
       this.options.contentTypes?.length === 4 &&
@@ -296,10 +410,19 @@ class TweetFilter {
     }
 
     if (this.options.filterByDate) {
-      const tweetDate = new Date(tweet.timestamp);
-      const startDate = new Date(this.options.startDate);
-      const endDate = new Date(this.options.endDate);
-      if (tweetDate < startDate || tweetDate > endDate) return false;
+      // Both dates are inclusive days (UTC), like --start-date/--end-date
+      if (
+        this.options.startDate &&
+        tweet.timestamp < SearchWindows.parseDay(this.options.startDate)
+      ) {
+        return false;
+      }
+      if (
+        this.options.endDate &&
+        tweet.timestamp >= SearchWindows.parseDay(this.options.endDate) + DAY_MS
+      ) {
+        return false;
+      }
     }
 
     if (
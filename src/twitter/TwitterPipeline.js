@@ -3,15 +3,25 @@ import chalk from "chalk";
 import { format } from "date-fns";
 import path from "path";
 import fs from "fs/promises";
-import { program } from 'commander';
+import crypto from "crypto";
 
 // Imported Files
 import Logger from "./Logger.js";
 import DataOrganizer from "./DataOrganizer.js";
 import TweetFilter from "./TweetFilter.js";
+import ThreadBuilder from "./ThreadBuilder.js";
+import TweetCache from "./TweetCache.js";
+import MediaArchiver from "./MediaArchiver.js";
+import FollowGraph from "./FollowGraph.js";
+import RequestGovernor from "./RequestGovernor.js";
+import AccountPool from "./AccountPool.js";
+import ProxyPool from "./ProxyPool.js";
+import ErrorJournal from "./ErrorJournal.js";
+import SearchWindows from "./SearchWindows.js";
 
 // agent-twitter-client
-import { Scraper, SearchMode } from "agent-twitter-client";
+import { Scraper } from "agent-twitter-client";
+import { createTweetSource } from "./sources/index.js";
 
 // Puppeteer
 import puppeteer from "puppeteer-extra";
@@ -23,42 +33,48 @@ import { Cluster } from "puppeteer-cluster";
 puppeteer.use(StealthPlugin());
 puppeteer.use(AdblockerPlugin({ blockTrackers: true }));
 
-// Setup command line options to work with both formats:
-// npm run twitter -- username --start-date 2024-01-01
-// node src/twitter/index.js username --start-date 2024-01-01
-program
-  .allowExcessArguments(true)
-  .argument('[username]', 'Twitter username to collect')
-  .option('-s, --start-date <date>', 'Start date (YYYY-MM-DD)')
-  .option('-e, --end-date <date>', 'End date (YYYY-MM-DD)')
-  .parse(process.argv);
+// Backoff a pooled account may wait out before the next account takes over
+const ACCOUNT_SWITCH_WAIT = 60 * 1000;
 
-const options = program.opts();
-const username = program.args[0];
+// Search backoff waited out before counting towards the browser fallback
+// (shorter than any 429 backoff, so every rate limit counts)
+const FALLBACK_SEARCH_WAIT = 30 * 1000;
+
+// Errors already in meta/error_log.json, so outer catches don't record them twice
+const journaledErrors = new WeakSet();
 
 class TwitterPipeline {
-  constructor(username) {
+  constructor(username, options = {}) {
     this.username = username;
-    this.dataOrganizer = new DataOrganizer("pipeline", username);
-    this.paths = this.dataOrganizer.getPaths();
+    this.options = options;
+    // Query runs search raw operators instead of one account's timeline
+    this.query = options.query || null;
+    this.searchMode = TwitterPipeline.parseSearchMode(options.searchMode);
+    this.collectionName = this.query
+      ? TwitterPipeline.querySlug(this.query)
+      : username;
+    this.useSnapshot(format(new Date(), "yyyy-MM-dd"));
     this.tweetFilter = new TweetFilter();
-
-    // Update cookie path to be in top-level cookies directory
-    this.paths.cookies = path.join(
-      process.cwd(),
-      'cookies',
-      `${process.env.TWITTER_USERNAME}_cookies.json`
-    );
+    this.checkpoint = null;
+    this.previousSnapshot = null;
+    this.profile = null;
 
     // Enhanced configuration with fallback handling
     this.config = {
       twitter: {
-        maxTweets: parseInt(process.env.MAX_TWEETS) || 50000,
+        maxTweets:
+          parseInt(options.maxTweets) || parseInt(process.env.MAX_TWEETS) || 50000,
         maxRetries: parseInt(process.env.MAX_RETRIES) || 5,
         retryDelay: parseInt(process.env.RETRY_DELAY) || 5000,
         minDelayBetweenRequests: parseInt(process.env.MIN_DELAY) || 1000,
         maxDelayBetweenRequests: parseInt(process.env.MAX_DELAY) || 3000,
         rateLimitThreshold: 3, // Number of rate limits before considering fallback
+        batchSize: 50, // Tweets per search page (Twitter caps this at 50)
+        maxFollowing: parseInt(process.env.MAX_FOLLOWING) || 5000,
+        // Date ranges are searched in windows of this many days to start with
+        windowDays: parseInt(options.windowDays) || parseInt(process.env.SEARCH_WINDOW_DAYS) || 30,
+        // Results after which a window is assumed to be cut short by Twitter
+        windowResultCap: parseInt(process.env.SEARCH_WINDOW_CAP) || 500,
       },
       fallback: {
         enabled: true,
@@ -73,8 +89,27 @@ class TwitterPipeline {
       },
     };
 
-    this.scraper = new Scraper();
+    // Batch runs hand every pipeline the same authenticated scraper; every
+    // request it makes goes through the governor's shared budgets
+    this.governor = options.governor || new RequestGovernor();
+    this.scraper = options.scraper || new Scraper({ fetch: this.governor.fetch });
+    this.sharedSession = Boolean(options.scraper);
+    // agent-twitter-client retries 429s itself, so a search only fails (and
+    // collection can move to the browser fallback) if long backoffs give up
+    if (this.config.fallback.enabled && this.governor.maxWait === Infinity) {
+      this.governor.maxWait = { search: FALLBACK_SEARCH_WAIT };
+    }
+    // Accounts the scraper logs in with; batch runs share one pool too
+    this.accountPool = options.accountPool || new AccountPool();
+    if (!options.accountPool) this.accountPool.track(this.governor);
+    this.proxyPool = options.proxyPool || new ProxyPool();
     this.cluster = null;
+    this.fallbackProxy = null;
+    // Set once the fallback browser has logged in; later searches reuse it
+    this.fallbackLoggedIn = false;
+    this.fallbackSource = null;
+    this.source = createTweetSource(options.source || "scraper", this, options);
+    this.tweetCache = new TweetCache();
 
     // Enhanced statistics tracking
     this.stats = {
@@ -87,13 +122,231 @@ class TwitterPipeline {
       oldestTweetDate: null,
       newestTweetDate: null,
       fallbackUsed: false,
+      sourceCounts: {},
     };
   }
 
+  /**
+   * Normalizes the --search-mode option.
+   * @param {string} [mode="Latest"] - Latest or Top, case-insensitive.
+   * @returns {string} SearchMode key.
+   */
+  static parseSearchMode(mode = "Latest") {
+    const normalized = ["Latest", "Top"].find(
+      (key) => key.toLowerCase() === String(mode).toLowerCase()
+    );
+    if (!normalized) {
+      throw new Error(`Unknown search mode "${mode}". Use Latest or Top`);
+    }
+    return normalized;
+  }
+
+  /**
+   * Turns a search query into a folder name, e.g. "$SOL (from:a OR from:b)"
+   * becomes "query-cashtag-sol-from-a-or-from-b".
+   * @param {string} query - Raw Twitter search query.
+   * @returns {string} Pipeline folder name.
+   */
+  static querySlug(query) {
+    const slug = query
+      .toLowerCase()
+      .replace(/\$(\w)/g, "cashtag-$1")
+      .replace(/#(\w)/g, "hashtag-$1")
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "");
+
+    if (slug.length <= 60) return `query-${slug || "empty"}`;
+
+    // Keep long queries that share a prefix apart
+    const hash = crypto.createHash("sha1").update(query).digest("hex").slice(0, 8);
+    return `query-${slug.slice(0, 60).replace(/-+$/, "")}-${hash}`;
+  }
+
+  /**
+   * Points the data organizer (and derived paths) at a dated snapshot folder.
+   * @param {string} date - Snapshot date (yyyy-MM-dd).
+   */
+  useSnapshot(date) {
+    this.dataOrganizer = new DataOrganizer("pipeline", this.collectionName, date);
+    this.paths = this.dataOrganizer.getPaths();
+    Logger.setContext({ logFile: this.paths.meta.log });
+  }
+
+  /**
+   * Pool account the scraper is logged in with.
+   * @returns {string}
+   */
+  sessionUsername() {
+    return this.accountPool.current?.username || process.env.TWITTER_USERNAME;
+  }
+
+  /**
+   * Whether this run's snapshot holds a checkpoint --resume can continue from.
+   * @returns {Promise<boolean>}
+   */
+  async hasCheckpoint() {
+    const { checkpoint, nextToken } = this.dataOrganizer.getPaths().meta;
+    for (const file of [checkpoint, nextToken]) {
+      if (await fs.access(file).then(() => true, () => false)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Finds the most recent snapshot whose collection never completed and
+   * loads its checkpoint so collectTweets can continue from the saved cursor.
+   * @returns {Promise<boolean>} Whether a checkpoint was found.
+   */
+  async prepareResume() {
+    const snapshots = await this.dataOrganizer.listSnapshots();
+
+    for (const date of snapshots.reverse()) {
+      const organizer = new DataOrganizer("pipeline", this.collectionName, date, {
+        createDirectories: false,
+      });
+      const progress = await organizer.loadProgress();
+      if (!progress || progress.progress?.completed !== false) continue;
+
+      this.useSnapshot(date);
+      const { tweets, cursor, readTimes } = await this.dataOrganizer.loadCheckpoint();
+      this.checkpoint = { tweets, cursor, readTimes, progress };
+
+      // Keep the original date range and filters unless overridden on the command line
+      this.options.startDate = this.options.startDate || progress.startDate;
+      this.options.endDate = this.options.endDate || progress.endDate;
+      if (progress.previousSnapshot) this.options.incremental = true;
+      if (!this.options.filterConfig) {
+        const savedConfig = this.paths.meta.filterConfig;
+        if (await fs.access(savedConfig).then(() => true, () => false)) {
+          this.options.filterConfig = savedConfig;
+        }
+      }
+
+      Logger.info(
+        `↩️  Resuming collection from ${date}: ${tweets.length.toLocaleString()} tweets checkpointed`
+      );
+      return true;
+    }
+
+    Logger.warn("⚠️  No interrupted collection found. Starting fresh.");
+    return false;
+  }
+
+  /**
+   * Finds the newest snapshot that already holds tweets so only newer tweets
+   * need to be fetched and merged into it.
+   * @returns {Promise<boolean>} Whether a previous snapshot was found.
+   */
+  async prepareIncremental() {
+    const snapshots = await this.dataOrganizer.listSnapshots();
+    // A resumed incremental run finishes merging into the snapshot it started from
+    const resumed = this.checkpoint?.progress?.previousSnapshot;
+
+    for (const date of resumed ? [resumed] : snapshots.reverse()) {
+      const organizer = new DataOrganizer("pipeline", this.collectionName, date, {
+        createDirectories: false,
+      });
+      const tweets = await organizer.loadTweets();
+      if (tweets.length === 0) continue;
+
+      const newestTimestamp = tweets.reduce(
+        (newest, tweet) => Math.max(newest, tweet.timestamp || 0),
+        0
+      );
+      this.previousSnapshot = { date, tweets, newestTimestamp };
+
+      Logger.info(
+        `🔁 Incremental run: ${tweets.length.toLocaleString()} tweets in ${date}, fetching tweets after ${new Date(
+          newestTimestamp
+        ).toISOString()}`
+      );
+      return true;
+    }
+
+    Logger.warn("⚠️  No earlier snapshot found. Collecting full history.");
+    return false;
+  }
+
+  /**
+   * Merges newly collected tweets into the previous snapshot and records
+   * what was added in the changelog.
+   * @param {object[]} newTweets - Tweets collected in this run.
+   * @returns {Promise<object[]>} Deduplicated tweets, newest first.
+   */
+  async mergeWithPreviousSnapshot(newTweets) {
+    const { date, tweets, newestTimestamp } = this.previousSnapshot;
+    const merged = new Map(tweets.map((tweet) => [tweet.id, tweet]));
+    const added = newTweets.filter((tweet) => !merged.has(tweet.id));
+
+    // Newer readings replace the older engagement counts
+    newTweets.forEach((tweet) => merged.set(tweet.id, tweet));
+
+    await this.dataOrganizer.saveChangelog({
+      timestamp: new Date().toISOString(),
+      previousSnapshot: date,
+      since: new Date(newestTimestamp).toISOString(),
+      previousTotal: tweets.length,
+      added: added.length,
+      total: merged.size,
+      tweets: added.map((tweet) => ({
+        id: tweet.id,
+        createdAt: tweet.createdAt,
+        text: tweet.text?.slice(0, 100),
+        url: tweet.permanentUrl,
+      })),
+    });
+
+    Logger.success(
+      `✅ Merged ${added.length.toLocaleString()} new tweets with the ${date} snapshot (${merged.size.toLocaleString()} total)`
+    );
+
+    return Array.from(merged.values()).sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  /**
+   * Sets up the tweet filter from --filter-config, or asks interactively,
+   * and saves the config that will be applied next to the output.
+   */
+  async configureFilter() {
+    if (this.options.filterConfig) {
+      await this.tweetFilter.loadConfig(this.options.filterConfig);
+    } else if (this.options.interactive === false) {
+      this.tweetFilter.selectAll();
+    } else {
+      await this.tweetFilter.promptCollectionMode();
+    }
+
+    await this.dataOrganizer.saveFilterConfig(this.tweetFilter.toConfig());
+  }
+
+  /**
+   * Builds the search query for the target account, or returns the --query
+   * operators as given.
+   * @param {boolean} [windowed=false] - Leave the dates to the search windows.
+   * @returns {string} Twitter search query.
+   */
+  buildSearchQuery(windowed = false) {
+    let query = this.query || `from:${this.username}`;
+    if (this.previousSnapshot && !windowed) {
+      // since: is day-granular; tweets we already have are skipped in collectTweets
+      const since = new Date(this.previousSnapshot.newestTimestamp)
+        .toISOString()
+        .split("T")[0];
+      query += ` since:${since}`;
+    }
+    return query;
+  }
+
   async initializeFallback() {
     if (!this.cluster) {
+      // The browser logs in as the current pool account, through its proxy
+      const account = this.accountPool.current || (await this.accountPool.next());
+      this.fallbackProxy = account ? await this.proxyPool.assign(account) : null;
+
       this.cluster = await Cluster.launch({
         puppeteer,
+        // Pages share the browser's cookies, so one login serves every search
+        concurrency: Cluster.CONCURRENCY_PAGE,
         maxConcurrency: 1, // Single instance for consistency
         timeout: 30000,
         puppeteerOptions: {
@@ -102,6 +355,7 @@ class TwitterPipeline {
             "--no-sandbox",
             "--disable-setuid-sandbox",
             "--disable-blink-features=AutomationControlled",
+            ...ProxyPool.browserArgs(this.fallbackProxy),
           ],
         },
       });
@@ -113,9 +367,52 @@ class TwitterPipeline {
     }
   }
 
+  /**
+   * Closes the fallback browser and forgets its login.
+   */
+  async closeFallback() {
+    if (!this.cluster) return;
+
+    await this.cluster.close();
+    this.cluster = null;
+    this.fallbackLoggedIn = false;
+    Logger.success("🔒 Cleaned up fallback system");
+  }
+
+  /**
+   * Logs the fallback browser in as the current pool account, unless an
+   * earlier search already did.
+   * @param {Page} page - Cluster page to log in with.
+   */
+  async loginFallback(page) {
+    if (this.fallbackLoggedIn) return;
+
+    // Login with minimal interaction
+    await page.goto("https://twitter.com/login", {
+      waitUntil: "networkidle0",
+      timeout: 30000,
+    });
+
+    const account = this.accountPool.current || (await this.accountPool.next());
+    await page.type('input[autocomplete="username"]', account.username);
+    await this.randomDelay(500, 1000);
+    await page.click('div[role="button"]:not([aria-label])');
+    await this.randomDelay(500, 1000);
+    await page.type('input[type="password"]', account.password);
+    await this.randomDelay(500, 1000);
+    await page.click('div[role="button"][data-testid="LoginButton"]');
+    await page.waitForNavigation({ waitUntil: "networkidle0" });
+    this.fallbackLoggedIn = true;
+  }
+
   async setupFallbackPage(page) {
     await page.setViewport(this.config.fallback.viewport);
 
+    const proxyCredentials = ProxyPool.credentials(this.fallbackProxy);
+    if (proxyCredentials) {
+      await page.authenticate(proxyCredentials);
+    }
+
     // Basic evasion only - maintain consistency
     await page.evaluateOnNewDocument(() => {
       Object.defineProperty(navigator, "webdriver", { get: () => undefined });
@@ -124,16 +421,24 @@ class TwitterPipeline {
 
   async validateEnvironment() {
     Logger.startSpinner("Validating environment");
-    const required = ["TWITTER_USERNAME", "TWITTER_PASSWORD"];
-    const missing = required.filter((var_) => !process.env[var_]);
+    let accounts = [];
+    try {
+      accounts = await this.accountPool.load();
+      await this.proxyPool.load();
+    } catch (error) {
+      Logger.stopSpinner(false);
+      Logger.error(error.message);
+      await this.logError(error, { phase: "auth", action: "load accounts and proxies" });
+      process.exit(1);
+    }
 
-    if (missing.length > 0) {
+    if (accounts.length === 0) {
       Logger.stopSpinner(false);
-      Logger.error("Missing required environment variables:");
-      missing.forEach((var_) => Logger.error(`- ${var_}`));
+      Logger.error("No Twitter accounts configured");
       console.log("\n📝 Create a .env file with your Twitter credentials:");
       console.log(`TWITTER_USERNAME=your_username`);
       console.log(`TWITTER_PASSWORD=your_password`);
+      console.log(`\n...or list several accounts in ${this.accountPool.poolPath}`);
       process.exit(1);
     }
     Logger.stopSpinner();
@@ -141,14 +446,15 @@ class TwitterPipeline {
 
 async loadCookies() {
     try {
-      if (await fs.access(this.paths.cookies).catch(() => false)) {
-        const cookiesData = await fs.readFile(this.paths.cookies, 'utf-8');
-        const cookies = JSON.parse(cookiesData);
-        await this.scraper.setCookies(cookies);
+      // Saved cookies are serialized objects (encrypted with a passphrase)
+      const cookies = await this.accountPool.loadCookies(this.sessionUsername());
+      if (cookies) {
+        await this.scraper.setCookies(AccountPool.toCookieStrings(cookies));
         return true;
       }
     } catch (error) {
       Logger.warn(`Failed to load cookies: ${error.message}`);
+      await this.logError(error, { phase: "auth", action: "load cookies" });
     }
     return false;
 }
@@ -156,41 +462,91 @@ async loadCookies() {
 async saveCookies() {
     try {
       const cookies = await this.scraper.getCookies();
-      // Create cookies directory if it doesn't exist
-      await fs.mkdir(path.dirname(this.paths.cookies), { recursive: true });
-      await fs.writeFile(this.paths.cookies, JSON.stringify(cookies));
-      Logger.success('Saved authentication cookies');
+      await this.accountPool.saveCookies(this.sessionUsername(), cookies);
+      Logger.success(
+        this.accountPool.store.enabled
+          ? "Saved encrypted authentication cookies"
+          : "Saved authentication cookies"
+      );
     } catch (error) {
       Logger.warn(`Failed to save cookies: ${error.message}`);
+      await this.logError(error, { phase: "auth", action: "save cookies" });
     }
 }
 
 
+  /**
+   * Logs the scraper in with the current pool account, moving on to the next
+   * healthy one whenever an account can't log in.
+   * @returns {Promise<boolean>} Whether any account logged in.
+   */
   async initializeScraper() {
     Logger.startSpinner("Initializing Twitter scraper");
+    await this.accountPool.load();
+
+    // Switching accounts beats waiting out a long backoff
+    if (this.accountPool.size > 1) {
+      this.governor.maxWait = ACCOUNT_SWITCH_WAIT;
+    }
+
+    const tried = [];
+    let account = this.accountPool.current || (await this.accountPool.next());
+
+    while (account) {
+      await this.useAccount(account);
+      if (await this.loginAccount(account)) {
+        Logger.stopSpinner();
+        return true;
+      }
+      tried.push(account.username);
+      account = await this.accountPool.next(tried);
+    }
+
+    Logger.error("No healthy accounts left to log in with (see npm run pool -- status)");
+    Logger.stopSpinner(false);
+    return false;
+  }
+
+  /**
+   * Points the governor's budgets and the scraper's traffic at an account
+   * and its sticky proxy.
+   * @param {object} account - Pool entry.
+   */
+  async useAccount(account) {
+    this.governor.scope = account.username;
+    const proxy = await this.proxyPool.assign(account);
+    this.governor.innerFetch = proxy ? ProxyPool.createFetch(proxy) : globalThis.fetch;
+  }
+
+  /**
+   * Logs one pool account in, saved cookies first.
+   * @param {object} account - Pool entry with username, password and email.
+   * @returns {Promise<boolean>}
+   */
+  async loginAccount(account) {
+    const { username, password, email, twoFactorSecret } = account;
     let retryCount = 0;
 
     // Try loading cookies first
     if (await this.loadCookies()) {
       try {
         if (await this.scraper.isLoggedIn()) {
-          Logger.success("✅ Successfully authenticated with saved cookies");
-          Logger.stopSpinner();
+          Logger.success(`✅ Successfully authenticated @${username} with saved cookies`);
           return true;
         }
+        await this.logError(new Error(`Saved cookies for @${username} are no longer logged in`), {
+          phase: "auth",
+          action: "restore session",
+        });
       } catch (error) {
         Logger.warn("Saved cookies are invalid, attempting fresh login");
+        await this.logError(error, { phase: "auth", action: "restore session" });
       }
     }
 
     // Verify all required credentials are present
-    const username = process.env.TWITTER_USERNAME;
-    const password = process.env.TWITTER_PASSWORD;
-    const email = process.env.TWITTER_EMAIL;
-
     if (!username || !password || !email) {
-      Logger.error("Missing required credentials. Need username, password, AND email");
-      Logger.stopSpinner(false);
+      Logger.error(`Missing required credentials for @${username}. Need username, password, AND email`);
       return false;
     }
 
@@ -201,14 +557,13 @@ async saveCookies() {
         await this.randomDelay(5000, 10000);
 
         // Always use email in login attempt
-        await this.scraper.login(username, password, email);
+        await this.scraper.login(username, password, email, twoFactorSecret);
 
         // Verify login success
         const isLoggedIn = await this.scraper.isLoggedIn();
         if (isLoggedIn) {
           await this.saveCookies();
-          Logger.success("✅ Successfully authenticated with Twitter");
-          Logger.stopSpinner();
+          Logger.success(`✅ Successfully authenticated @${username} with Twitter`);
           return true;
         } else {
           throw new Error("Login verification failed");
@@ -219,9 +574,17 @@ async saveCookies() {
         Logger.warn(
           `⚠️  Authentication attempt ${retryCount} failed: ${error.message}`
         );
+        await this.logError(error, { phase: "auth", action: "login", attempt: retryCount });
+
+        // More attempts on a locked account only make things worse
+        if (RequestGovernor.isAuthLockError(error)) {
+          await this.governor.lockout(`@${username} locked during login`);
+          await this.accountPool.markFailure(username, "locked");
+          return false;
+        }
 
         if (retryCount >= this.config.twitter.maxRetries) {
-          Logger.stopSpinner(false);
+          await this.accountPool.markFailure(username, "login failed");
           return false;
         }
 
@@ -235,20 +598,49 @@ async saveCookies() {
     return false;
   }
 
+  /**
+   * Rests the account that just failed and logs the shared scraper in with
+   * the next healthy one.
+   * @param {string} reason - "rate limited", "locked" or "logged out".
+   * @param {string} username - Account that failed.
+   * @returns {Promise<boolean>} Whether collection can carry on with another account.
+   */
+  async rotateAccount(reason, username) {
+    if (this.accountPool.size < 2) return false;
+
+    // Another pipeline on the shared session already moved on
+    if (this.accountPool.current && this.accountPool.current.username !== username) {
+      return true;
+    }
 
-  async randomDelay(min, max) {
-    // Gaussian distribution for more natural delays
-    const gaussianRand = () => {
-      let rand = 0;
-      for (let i = 0; i < 6; i++) rand += Math.random();
-      return rand / 6;
-    };
+    await this.accountPool.markFailure(username, reason);
+    const next = await this.accountPool.next([username]);
+    if (!next) return false;
 
-    const delay = Math.floor(min + gaussianRand() * (max - min));
-    Logger.info(`Waiting ${(delay / 1000).toFixed(1)} seconds...`);
-    await new Promise(resolve => setTimeout(resolve, delay));
+    Logger.info(`🔄 Switching from @${username} to @${next.username}`);
+    return this.initializeScraper();
   }
 
+  /**
+   * Tells which account failure, if any, an error from the source stands for.
+   * @param {Error} error
+   * @returns {string|null} "rate limited", "locked", "logged out" or null.
+   */
+  accountFailure(error) {
+    const abort = this.governor.takeAbort();
+    if (abort) return abort.reason;
+
+    if (RequestGovernor.isAuthLockError(error)) return "locked";
+    if (this.isRateLimitError(error)) return "rate limited";
+
+    const status = error?.response?.status;
+    if (status === 401 || /\b401\b|could not authenticate/i.test(error?.message || "")) {
+      return "logged out";
+    }
+    return null;
+  }
+
+
   /*
   async initializeScraper() {
     Logger.startSpinner("Initializing Twitter scraper");
@@ -309,37 +701,152 @@ async saveCookies() {
     await new Promise((resolve) => setTimeout(resolve, delay));
   }
 
-  async handleRateLimit(retryCount = 1) {
-    this.stats.rateLimitHits++;
-    const baseDelay = 60000; // 1 minute
-    const maxDelay = 15 * 60 * 1000; // 15 minutes
-
-    // Exponential backoff with small jitter
-    const exponentialDelay = baseDelay * Math.pow(2, retryCount - 1);
-    const jitter = Math.random() * 0.1 * exponentialDelay; // 10% jitter
-    const delay = Math.min(exponentialDelay + jitter, maxDelay);
+  /**
+   * Waits out the backoff after a rate limit error surfaced from the source.
+   * The governor already recorded the 429 (and counted it) when it saw the
+   * response; requests it aborted never reached Twitter.
+   * @param {number} [retryCount=1] - Consecutive rate limits so far.
+   * @param {string} [endpoint="search"] - Governor endpoint that was limited.
+   */
+  async handleRateLimit(retryCount = 1, endpoint = "search") {
+    const wait = await this.governor.backoffFor(endpoint);
+    const seconds = (wait / 1000).toFixed(0);
 
     Logger.warn(
-      `⚠️  Rate limit hit - waiting ${
-        delay / 1000
-      } seconds (attempt ${retryCount})`
+      wait > this.governor.maxWaitFor(endpoint)
+        ? `⚠️  Rate limit hit - paused for ${seconds} seconds, longer than this run waits (attempt ${retryCount})`
+        : `⚠️  Rate limit hit - waiting ${seconds} seconds (attempt ${retryCount})`
     );
 
-    await this.randomDelay(delay, delay * 1.1);
+    await this.governor.waitForBackoff(endpoint);
   }
 
-  processTweetData(tweet) {
-    try {
-      if (!tweet || !tweet.id) return null;
+  /**
+   * Counts the governor's requests, rate limits and waits in this run's stats.
+   * @returns {function} Stops counting.
+   */
+  trackRequests() {
+    // A batch shares one governor, whose events fire in the run that made the request
+    const ownRequest = () => Logger.getContext().account === this.collectionName;
+    const onRequest = () => {
+      if (ownRequest()) this.stats.requestCount++;
+    };
+    const onRateLimit = () => {
+      if (!ownRequest()) return;
+      this.stats.rateLimitHits++;
+      Logger.recordRateLimit();
+    };
+    const onWait = ({ wait }) => {
+      if (ownRequest()) Logger.recordRateLimitWait(wait);
+    };
+
+    this.governor.on("request", onRequest);
+    this.governor.on("rateLimit", onRateLimit);
+    this.governor.on("wait", onWait);
+    return () => {
+      this.governor.off("request", onRequest);
+      this.governor.off("rateLimit", onRateLimit);
+      this.governor.off("wait", onWait);
+    };
+  }
+
+  /**
+   * Builds the embedded quotedTweet of a raw tweet. When the source didn't
+   * include the quoted status only its id is known until resolveQuotedTweets.
+   * @param {object} tweet - Raw tweet from a source.
+   * @returns {object|undefined}
+   */
+  embedQuotedTweet(tweet) {
+    const quoted = tweet.quotedStatus;
+    if (!quoted && !tweet.quotedStatusId) return undefined;
+    if (!quoted) return { id: tweet.quotedStatusId };
+
+    let timestamp = quoted.timestamp || quoted.timeParsed?.getTime?.();
+    if (timestamp && timestamp < 1e12) timestamp *= 1000;
+
+    return {
+      id: quoted.id || tweet.quotedStatusId,
+      username: quoted.username,
+      text: quoted.text,
+      createdAt: timestamp ? new Date(timestamp).toISOString() : undefined,
+    };
+  }
+
+  /**
+   * Loads a single tweet through the tweet cache.
+   * @param {string} id - Tweet id.
+   * @returns {Promise<object|null>} Processed tweet, or null if unavailable.
+   */
+  async fetchTweet(id) {
+    return this.tweetCache.get(id, async () => {
+      const tweet = await this.source.getTweet(id);
+      return this.processTweetData(tweet, { trackStats: false });
+    });
+  }
 
-      let timestamp = tweet.timestamp;
-      if (!timestamp) {
-        timestamp = tweet.timeParsed?.getTime();
+  /**
+   * Fills in quoted tweets the source only gave us the id of.
+   * @param {object[]} tweets - Collected tweets, updated in place.
+   * @returns {Promise<number>} Number of quoted tweets resolved.
+   */
+  async resolveQuotedTweets(tweets) {
+    const pending = tweets.filter(
+      (tweet) => tweet.quotedTweet && !tweet.quotedTweet.text
+    );
+    if (pending.length === 0) return 0;
+
+    Logger.info(`\n💬 Resolving ${pending.length.toLocaleString()} quoted tweets...`);
+    let resolved = 0;
+
+    for (const tweet of pending) {
+      try {
+        const quoted = await this.fetchTweet(tweet.quotedTweet.id);
+        if (!quoted) continue;
+
+        tweet.quotedTweet = {
+          id: quoted.id,
+          username: quoted.username,
+          text: quoted.text,
+          createdAt: quoted.createdAt,
+        };
+        resolved++;
+      } catch (error) {
+        Logger.warn(
+          `⚠️  Could not resolve quoted tweet ${tweet.quotedTweet.id}: ${error.message}`
+        );
       }
+    }
 
-      if (!timestamp) return null;
+    await this.tweetCache.save();
+    Logger.success(`✅ Resolved ${resolved}/${pending.length} quoted tweets`);
+    return resolved;
+  }
 
-      if (timestamp < 1e12) timestamp *= 1000;
+  /**
+   * Reads when a raw tweet was posted.
+   * @param {object} tweet - Raw tweet from a source.
+   * @returns {number|null} Milliseconds since epoch.
+   */
+  rawTimestamp(tweet) {
+    const timestamp = tweet?.timestamp || tweet?.timeParsed?.getTime?.();
+    if (!timestamp) return null;
+    return timestamp < 1e12 ? timestamp * 1000 : timestamp;
+  }
+
+  /**
+   * Normalizes a raw tweet into the stored schema.
+   * @param {object} tweet - Raw tweet from a source.
+   * @param {object} [options]
+   * @param {boolean} [options.trackStats=true] - Update the collected date range;
+   *   off for context tweets (thread parents) that aren't part of the collection.
+   * @returns {object|null}
+   */
+  processTweetData(tweet, { trackStats = true } = {}) {
+    try {
+      if (!tweet || !tweet.id) return null;
+
+      const timestamp = this.rawTimestamp(tweet);
+      if (!timestamp) return null;
 
       if (isNaN(timestamp) || timestamp <= 0) {
         Logger.warn(`⚠️  Invalid timestamp for tweet ${tweet.id}`);
@@ -348,14 +855,14 @@ async saveCookies() {
 
       const tweetDate = new Date(timestamp);
       if (
-        !this.stats.oldestTweetDate ||
-        tweetDate < this.stats.oldestTweetDate
+        trackStats &&
+        (!this.stats.oldestTweetDate || tweetDate < this.stats.oldestTweetDate)
       ) {
         this.stats.oldestTweetDate = tweetDate;
       }
       if (
-        !this.stats.newestTweetDate ||
-        tweetDate > this.stats.newestTweetDate
+        trackStats &&
+        (!this.stats.newestTweetDate || tweetDate > this.stats.newestTweetDate)
       ) {
         this.stats.newestTweetDate = tweetDate;
       }
@@ -376,7 +883,9 @@ async saveCookies() {
         urls: tweet.urls || [],
         permanentUrl: tweet.permanentUrl,
         quotedStatusId: tweet.quotedStatusId,
+        quotedTweet: this.embedQuotedTweet(tweet),
         inReplyToStatusId: tweet.inReplyToStatusId,
+        conversationId: tweet.conversationId,
         hashtags: tweet.hashtags || [],
       };
     } catch (error) {
@@ -385,41 +894,25 @@ async saveCookies() {
     }
   }
 
-  async collectWithFallback(searchQuery) {
+  async collectWithFallback(searchQuery, searchMode = "Latest") {
     if (!this.cluster) {
       await this.initializeFallback();
     }
 
-    const tweets = new Set();
+    const tweets = new Map();
     let sessionStartTime = Date.now();
 
     const fallbackTask = async ({ page }) => {
       await this.setupFallbackPage(page);
 
       try {
-        // Login with minimal interaction
-        await page.goto("https://twitter.com/login", {
-          waitUntil: "networkidle0",
-          timeout: 30000,
-        });
-
-        await page.type(
-          'input[autocomplete="username"]',
-          process.env.TWITTER_USERNAME
-        );
-        await this.randomDelay(500, 1000);
-        await page.click('div[role="button"]:not([aria-label])');
-        await this.randomDelay(500, 1000);
-        await page.type('input[type="password"]', process.env.TWITTER_PASSWORD);
-        await this.randomDelay(500, 1000);
-        await page.click('div[role="button"][data-testid="LoginButton"]');
-        await page.waitForNavigation({ waitUntil: "networkidle0" });
+        await this.loginFallback(page);
 
         // Go directly to search
         await page.goto(
           `https://twitter.com/search?q=${encodeURIComponent(
             searchQuery
-          )}&f=live`
+          )}&f=${searchMode === "Top" ? "top" : "live"}`
         );
         await this.randomDelay(1000, 2000);
 
@@ -443,27 +936,61 @@ async saveCookies() {
             return tweetElements
               .map((tweet) => {
                 try {
+                  const statusLink = tweet
+                    .querySelector("time")
+                    ?.closest('a[href*="/status/"]')
+                    ?.getAttribute("href");
+                  const textElement = tweet.querySelector(
+                    'div[data-testid="tweetText"]'
+                  );
+                  const label = (testId) =>
+                    tweet
+                      .querySelector(`[data-testid="${testId}"]`)
+                      ?.getAttribute("aria-label") || "";
+
                   return {
-                    id: tweet.getAttribute("data-tweet-id"),
-                    text: tweet.querySelector("div[lang]")?.textContent || "",
-                    timestamp: tweet
-                      .querySelector("time")
-                      ?.getAttribute("datetime"),
-                    metrics: Array.from(
-                      tweet.querySelectorAll('span[data-testid$="count"]')
-                    ).map((m) => m.textContent),
+                    statusLink,
+                    text: textElement?.innerText || "",
+                    datetime: tweet.querySelector("time")?.getAttribute("datetime"),
+                    socialContext:
+                      tweet.querySelector('[data-testid="socialContext"]')
+                        ?.textContent || "",
+                    isReply: Array.from(tweet.querySelectorAll("div")).some(
+                      (div) => div.textContent.startsWith("Replying to")
+                    ),
+                    replies: label("reply"),
+                    retweets: label("retweet") || label("unretweet"),
+                    likes: label("like") || label("unlike"),
+                    views:
+                      tweet
+                        .querySelector('a[href$="/analytics"]')
+                        ?.getAttribute("aria-label") || "",
+                    photos: Array.from(
+                      tweet.querySelectorAll('[data-testid="tweetPhoto"] img')
+                    ).map((img) => ({ url: img.src, alt_text: img.alt })),
+                    videos: Array.from(tweet.querySelectorAll("video")).map(
+                      (video) => ({ preview: video.poster, url: video.src })
+                    ),
+                    urls: Array.from(
+                      tweet.querySelectorAll(
+                        'div[data-testid="tweetText"] a[href^="https://t.co"], [data-testid="card.wrapper"] a[href^="https://t.co"]'
+                      )
+                    ).map((a) => a.href),
+                    hashtags: Array.from(
+                      tweet.querySelectorAll('a[href^="/hashtag/"]')
+                    ).map((a) => a.textContent.replace(/^#/, "")),
                   };
                 } catch (e) {
                   return null;
                 }
               })
-              .filter((t) => t && t.id);
+              .filter((t) => t && t.statusLink);
           });
 
-          for (const tweet of newTweets) {
-            if (!tweets.has(tweet.id)) {
-              tweets.add(tweet);
-              this.stats.fallbackCount++;
+          for (const rawTweet of newTweets) {
+            const tweet = this.normalizeFallbackTweet(rawTweet);
+            if (tweet && !tweets.has(tweet.id)) {
+              tweets.set(tweet.id, tweet);
             }
           }
 
@@ -476,86 +1003,666 @@ async saveCookies() {
         }
       } catch (error) {
         Logger.warn(`Fallback collection error: ${error.message}`);
+        await this.logError(error, { phase: "fallback", action: "browser search", query: searchQuery });
         throw error;
       }
     };
 
-    await this.cluster.task(fallbackTask);
-    await this.cluster.queue({});
+    await this.cluster.execute({}, fallbackTask);
+
+    return Array.from(tweets.values());
+  }
+
+  /**
+   * Parses a displayed count such as "1,234", "12.5K" or "3M".
+   * @param {string} value - Text or aria-label containing the count.
+   * @returns {number}
+   */
+  parseCount(value) {
+    const match = value?.replace(/,/g, "").match(/([\d.]+)\s*([KMB])?/i);
+    if (!match) return 0;
+
+    const multipliers = { K: 1e3, M: 1e6, B: 1e9 };
+    const multiplier = multipliers[match[2]?.toUpperCase()] || 1;
+    return Math.round(parseFloat(match[1]) * multiplier);
+  }
+
+  /**
+   * Turns a tweet scraped from the DOM into the agent-twitter-client shape
+   * so processTweetData handles it like any other raw tweet.
+   * @param {object} rawTweet - Values read from the tweet article.
+   * @returns {object|null}
+   */
+  normalizeFallbackTweet(rawTweet) {
+    const match = rawTweet.statusLink?.match(/^\/([^/]+)\/status\/(\d+)/);
+    if (!match) return null;
+
+    const [, username, id] = match;
+    const timestamp = Date.parse(rawTweet.datetime);
+
+    return {
+      id,
+      username,
+      text: rawTweet.text,
+      timestamp: isNaN(timestamp) ? null : timestamp,
+      isReply: rawTweet.isReply,
+      isRetweet: /reposted|retweeted/i.test(rawTweet.socialContext),
+      likes: this.parseCount(rawTweet.likes),
+      retweets: this.parseCount(rawTweet.retweets),
+      replies: this.parseCount(rawTweet.replies),
+      views: this.parseCount(rawTweet.views),
+      photos: rawTweet.photos.map((photo) => ({
+        id: photo.url.match(/\/media\/([^?.]+)/)?.[1] || null,
+        ...photo,
+      })),
+      videos: rawTweet.videos.map((video) => ({
+        id: video.preview?.match(/_video_thumb\/(\d+)/)?.[1] || null,
+        ...video,
+      })),
+      urls: [...new Set(rawTweet.urls)],
+      hashtags: rawTweet.hashtags,
+      permanentUrl: `https://twitter.com/${username}/status/${id}`,
+    };
+  }
+
+  /**
+   * Whether a scraper error means Twitter is throttling us.
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  isRateLimitError(error) {
+    const status = error?.response?.status;
+    return status === 429 || /\b429\b|rate limit/i.test(error?.message || "");
+  }
+
+  /**
+   * Launches the browser source once the primary scraper keeps getting
+   * rate limited.
+   * @returns {Promise<TweetSource>} The initialized fallback source.
+   */
+  async switchToFallback() {
+    Logger.warn(
+      `⚠️  Hit ${this.config.twitter.rateLimitThreshold} rate limits in a row - switching to browser fallback`
+    );
+    const fallback = createTweetSource("puppeteer", this, this.options);
+    try {
+      await fallback.initialize();
+    } catch (error) {
+      await this.logError(error, { phase: "fallback", action: "start browser" });
+      throw error;
+    }
+    this.stats.fallbackUsed = true;
+    this.fallbackSource = fallback;
+    return fallback;
+  }
+
+  /**
+   * Narrows the search to tweets up to the oldest one collected so far.
+   * @param {string} searchQuery - Query used by the primary source.
+   * @param {Map<string, object>} allTweets - Tweets collected so far.
+   * @returns {string}
+   */
+  buildFallbackQuery(searchQuery, allTweets) {
+    let oldest = this.stats.oldestTweetDate?.getTime();
+    for (const tweet of allTweets.values()) {
+      if (!oldest || tweet.timestamp < oldest) oldest = tweet.timestamp;
+    }
+    if (!oldest) return searchQuery;
+
+    // until: is exclusive, so include the day of the oldest tweet
+    const until = new Date(oldest + 24 * 60 * 60 * 1000)
+      .toISOString()
+      .split("T")[0];
+    return `${searchQuery} until:${until}`;
+  }
 
-    return Array.from(tweets);
+  /**
+   * Splits --start-date/--end-date into search windows, carrying on with the
+   * saved windows when resuming.
+   * @param {object|null} profile - Profile of the account, for its join date.
+   * @returns {Promise<SearchWindows|null>} null when no date range was given.
+   */
+  async planSearchWindows(profile) {
+    const { startDate, endDate } = this.options;
+    if (!startDate && !endDate) return null;
+
+    const options = {
+      ...SearchWindows.range({
+        startDate,
+        endDate,
+        joined: profile?.joined,
+        after: this.previousSnapshot?.newestTimestamp,
+      }),
+      days: this.config.twitter.windowDays,
+      resultCap: this.config.twitter.windowResultCap,
+    };
+    const saved = this.checkpoint ? await this.dataOrganizer.loadWindows() : null;
+    return SearchWindows.restore(saved, options);
   }
 
-  async collectTweets(scraper) {
+  logWindow(record) {
+    const range = `${record.since} to ${record.until}`;
+    if (record.status === "complete") {
+      Logger.debug(`Window ${range} complete with ${record.results} results`);
+    } else if (record.status === "split") {
+      Logger.info(
+        `✂️  Window ${range} hit the ${this.config.twitter.windowResultCap} result cap - searching before ${record.coveredFrom} in smaller windows`
+      );
+    } else {
+      Logger.warn(
+        `⚠️  ${record.since} alone hit the ${this.config.twitter.windowResultCap} result cap - some of its tweets may be missing`
+      );
+    }
+  }
+
+  async collectTweets(source) {
     try {
-      const options = program.opts();
-      const { startDate, endDate } = options;
+      const { startDate, endDate } = this.options;
 
       if (startDate && endDate) {
         Logger.info(`\n🗓️  Filtering tweets between ${startDate} and ${endDate}`);
       }
 
-      const profile = await scraper.getProfile(this.username);
-      const totalExpectedTweets = profile.tweetsCount;
+      // Query runs have no single profile to count against
+      const profile = this.query ? null : await source.getProfile(this.username);
+      const totalExpectedTweets = profile?.tweetsCount;
+      this.profile = profile || null;
 
-      Logger.info(
-        `📊 Found ${chalk.bold(
-          totalExpectedTweets.toLocaleString()
-        )} total tweets for @${this.username}`
-      );
+      if (totalExpectedTweets) {
+        Logger.info(
+          `📊 Found ${chalk.bold(
+            totalExpectedTweets.toLocaleString()
+          )} total tweets for @${this.username}`
+        );
+      }
 
       const allTweets = new Map();
-      let previousCount = 0;
-      let stagnantBatches = 0;
-      const MAX_STAGNANT_BATCHES = 2;
+      let cursor = null;
 
-      // Rest of your existing collection logic...
-      try {
-        const searchResults = scraper.searchTweets(
-          `from:${this.username}`,
-          this.config.twitter.maxTweets,
-          SearchMode.Latest
+      // Pick up where the interrupted run left off
+      if (this.checkpoint) {
+        this.checkpoint.tweets.forEach((tweet) => allTweets.set(tweet.id, tweet));
+        cursor = this.checkpoint.cursor;
+      }
+
+      // Date ranges are searched window by window with since:/until:
+      const windows = await this.planSearchWindows(profile);
+      let window = windows?.next() || null;
+      if (window) {
+        const savedWindow = this.checkpoint?.progress?.progress?.window;
+        // The saved cursor belongs to the window that was being searched
+        if (savedWindow?.since !== window.since || savedWindow?.until !== window.until) {
+          cursor = null;
+        }
+        const range = windows.toJSON();
+        Logger.info(
+          `🗓️  Searching since:${range.since} until:${range.until} in windows of ${windows.days} days`
         );
+      }
 
-        for await (const tweet of searchResults) {
-          if (tweet && !allTweets.has(tweet.id)) {
-            const processedTweet = this.processTweetData(tweet);
-            
-            // Add date filtering here
-            if (processedTweet) {
-              const tweetDate = new Date(processedTweet.timestamp);
-              if (startDate && endDate) {
-                if (tweetDate >= new Date(startDate) && tweetDate <= new Date(endDate)) {
+      const searchQuery = this.buildSearchQuery(Boolean(windows));
+      const knownUntil = this.previousSnapshot?.newestTimestamp || 0;
+      const startTime = startDate ? SearchWindows.parseDay(startDate) : null;
+      // The end date is inclusive
+      const endTime = endDate ? SearchWindows.parseDay(endDate) + 24 * 60 * 60 * 1000 : null;
+      // The profile's tweet count only measures progress through the whole timeline
+      const expectedTotal =
+        totalExpectedTweets && !startDate && !endDate && !knownUntil
+          ? totalExpectedTweets
+          : null;
+      Logger.reset();
+      const seenIds = new Set(allTweets.keys());
+      const MAX_STAGNANT_BATCHES = 2;
+
+      let activeSource = source;
+      let consecutiveRateLimits = 0;
+      let limitReached = false;
+
+      try {
+        do {
+          let activeQuery = window ? SearchWindows.query(searchQuery, window) : searchQuery;
+          let windowResults = 0;
+          let windowOldest = null;
+          let previousCount = seenIds.size;
+          let stagnantBatches = 0;
+          let finished = false;
+
+          while (!finished) {
+            finished = true;
+
+            try {
+              const pages = activeSource.search(activeQuery, {
+                cursor,
+                batchSize: this.config.twitter.batchSize,
+                searchMode: this.searchMode,
+              });
+
+              for await (const page of pages) {
+                consecutiveRateLimits = 0;
+                windowResults += page.tweets.length;
+                const oldestBefore = windowOldest;
+
+                const newTweets = [];
+                let reachedKnownTweets = false;
+                for (const tweet of page.tweets) {
+                  const time = this.rawTimestamp(tweet);
+                  if (time && (!windowOldest || time < windowOldest)) windowOldest = time;
+
+                  if (!tweet || seenIds.has(tweet.id)) continue;
+                  seenIds.add(tweet.id);
+
+                  const processedTweet = this.processTweetData(tweet);
+                  if (!processedTweet) continue;
+
+                  // Incremental runs stop once they reach the previous snapshot
+                  // (Top results aren't chronological, so those only skip them)
+                  if (processedTweet.timestamp <= knownUntil) {
+                    reachedKnownTweets = this.searchMode === "Latest";
+                    continue;
+                  }
+
+                  if (
+                    (startTime && processedTweet.timestamp < startTime) ||
+                    (endTime && processedTweet.timestamp >= endTime)
+                  ) {
+                    continue;
+                  }
+
+                  // The filter applies when saving: a new tweet may not have
+                  // the engagement yet, and later runs don't fetch it again
                   allTweets.set(tweet.id, processedTweet);
+                  newTweets.push(processedTweet);
+                }
+
+                this.stats.sourceCounts[activeSource.name] =
+                  (this.stats.sourceCounts[activeSource.name] || 0) + newTweets.length;
+                if (activeSource.name === "puppeteer") {
+                  this.stats.fallbackCount += newTweets.length;
+                }
+
+                // Checkpoint the batch before moving the cursor forward
+                await this.dataOrganizer.saveCheckpoint(newTweets, page.next);
+                this.stats.uniqueTweets = allTweets.size;
+                await this.saveProgress(startDate, endDate, allTweets.size, {
+                  completed: false,
+                  cursor: page.next || null,
+                  window,
+                  lastCheckpoint: new Date().toISOString(),
+                });
+                cursor = page.next || cursor;
+
+                const timestamps = newTweets.map((tweet) => tweet.timestamp).filter(Boolean);
+                Logger.updateCollectionProgress({
+                  totalCollected: allTweets.size,
+                  scanned: seenIds.size,
+                  expectedTotal,
+                  newInBatch: newTweets.length,
+                  batchSize: page.tweets.length,
+                  oldestTweetDate: timestamps.length ? Math.min(...timestamps) : null,
+                  newestTweetDate: timestamps.length ? Math.max(...timestamps) : null,
+                });
+
+                // Pages of tweets we already have still count while they go further back
+                const advanced =
+                  seenIds.size > previousCount || (windowOldest && windowOldest !== oldestBefore);
+                stagnantBatches = advanced ? 0 : stagnantBatches + 1;
+                previousCount = seenIds.size;
+
+                if (allTweets.size >= this.config.twitter.maxTweets) {
+                  limitReached = true;
+                  break;
+                }
+                if (reachedKnownTweets || stagnantBatches >= MAX_STAGNANT_BATCHES) {
+                  break;
                 }
+              }
+            } catch (error) {
+              const failure = this.accountFailure(error);
+              await this.logError(error, {
+                action: "search",
+                query: activeQuery,
+                cursor,
+                tweetsCollected: allTweets.size,
+                failure,
+              });
+              if (!failure) throw error;
+              finished = false;
+
+              // Another pooled account carries on from the same cursor
+              const failedAccount = error.scope || this.accountPool.current?.username;
+              if (
+                activeSource.name === "scraper" &&
+                (await this.rotateAccount(failure, failedAccount))
+              ) {
+                consecutiveRateLimits = 0;
+                continue;
+              }
+              if (failure !== "rate limited") throw error;
+
+              consecutiveRateLimits++;
+
+              if (
+                consecutiveRateLimits >= this.config.twitter.rateLimitThreshold &&
+                this.config.fallback.enabled &&
+                activeSource.name === "scraper"
+              ) {
+                // Carry on in the browser from the oldest tweet we reached (or
+                // the start of the window; tweets we have are skipped)
+                activeSource = await this.switchToFallback();
+                if (!window) activeQuery = this.buildFallbackQuery(searchQuery, allTweets);
+                cursor = null;
+                consecutiveRateLimits = 0;
+              } else if (consecutiveRateLimits > this.config.twitter.maxRetries) {
+                throw error;
               } else {
-                allTweets.set(tweet.id, processedTweet);
+                await this.handleRateLimit(consecutiveRateLimits);
               }
-
-              // Rest of your existing progress logging...
             }
           }
-        }
+
+          if (window && !limitReached) {
+            const record = windows.complete(window, {
+              results: windowResults,
+              oldest: windowOldest,
+              chronological: this.searchMode === "Latest",
+            });
+            await this.dataOrganizer.saveWindows(windows.toJSON());
+            this.logWindow(record);
+          }
+
+          cursor = null;
+          window = limitReached ? null : windows?.next() || null;
+        } while (window);
       } catch (error) {
-        // Your existing error handling...
+        // Keep what we have; the checkpoint stays open for --resume
+        this.stats.interrupted = true;
+        this.stats.interruptedBy = error.message;
+        await this.logError(error, {
+          action: "collection interrupted",
+          cursor,
+          window,
+          tweetsCollected: allTweets.size,
+        });
+        Logger.warn(
+          `⚠️  Collection interrupted after ${allTweets.size.toLocaleString()} tweets: ${error.message}`
+        );
       }
 
       return Array.from(allTweets.values());
     } catch (error) {
       Logger.error(`Failed to collect tweets: ${error.message}`);
+      await this.logError(error, { action: "collect tweets" });
       throw error;
     }
   }
 
+  /**
+   * Fetches missing reply parents and rebuilds conversation trees.
+   * @param {object[]} tweets - Collected tweets.
+   * @returns {Promise<object[]>} threads
+   */
+  async expandThreads(tweets) {
+    Logger.info("\n🧵 Reconstructing conversation threads...");
+    const builder = new ThreadBuilder(this.username, (id) => this.fetchTweet(id));
+
+    const known = await builder.fetchMissingParents(tweets);
+    await this.tweetCache.save();
+    const threads = builder.build(tweets, known);
+    const summary = ThreadBuilder.summarize(threads);
+
+    Logger.success(
+      `✅ Rebuilt ${summary.totalThreads} threads (${summary.selfThreads} self-threads, ${summary.averageLength} tweets on average)`
+    );
+    return threads;
+  }
+
+  /**
+   * Saves the profile fetched at the start of collection, with the pinned
+   * tweet resolved, to raw/profile.json.
+   * @param {object} profile - Profile returned by the tweet source.
+   */
+  async saveProfileSnapshot(profile) {
+    const pinnedTweetId = profile.pinnedTweetIds?.[0] || null;
+    let pinnedTweet = null;
+
+    if (pinnedTweetId) {
+      try {
+        const tweet = await this.fetchTweet(pinnedTweetId);
+        pinnedTweet = tweet && {
+          id: tweet.id,
+          text: tweet.text,
+          createdAt: tweet.createdAt,
+          permanentUrl: tweet.permanentUrl,
+          likes: tweet.likes,
+          retweetCount: tweet.retweetCount,
+        };
+        await this.tweetCache.save();
+      } catch (error) {
+        Logger.warn(`⚠️  Could not fetch pinned tweet ${pinnedTweetId}: ${error.message}`);
+      }
+    }
+
+    await this.dataOrganizer.saveProfile({
+      capturedAt: new Date().toISOString(),
+      userId: profile.userId || null,
+      username: profile.username || this.username,
+      name: profile.name || null,
+      biography: profile.biography || "",
+      location: profile.location || "",
+      url: profile.url || null,
+      website: profile.website || null,
+      joined: profile.joined || null,
+      avatar: profile.avatar || null,
+      banner: profile.banner || null,
+      followersCount: profile.followersCount ?? null,
+      followingCount: profile.followingCount ?? null,
+      tweetsCount: profile.tweetsCount ?? null,
+      likesCount: profile.likesCount ?? null,
+      listedCount: profile.listedCount ?? null,
+      mediaCount: profile.mediaCount ?? null,
+      isVerified: Boolean(profile.isVerified),
+      isBlueVerified: Boolean(profile.isBlueVerified),
+      isPrivate: Boolean(profile.isPrivate),
+      pinnedTweetId,
+      pinnedTweet,
+    });
+  }
+
+  /**
+   * Collects the accounts the target follows, and optionally a sample of its
+   * followers, then compares the following list with other collected accounts.
+   */
+  async collectFollowGraph() {
+    const userId = this.profile?.userId;
+    if (!userId) {
+      Logger.warn("⚠️  Skipping follow graph: the profile has no user id");
+      return;
+    }
+
+    const following = await this.collectConnections(
+      "following",
+      userId,
+      this.config.twitter.maxFollowing
+    );
+
+    const followersSample = parseInt(this.options.followersSample) || 0;
+    if (followersSample > 0) {
+      await this.collectConnections("followers", userId, followersSample);
+    }
+
+    const overlap = await new FollowGraph().analyzeOverlap(this.username, following);
+    await this.dataOrganizer.saveFollowOverlap(overlap);
+
+    if (overlap.comparedAccounts > 0) {
+      Logger.info(
+        `🤝 Compared follows with ${overlap.comparedAccounts} collected accounts: ${
+          overlap.people.slice(0, 5).join(", ") || "no shared follows"
+        }`
+      );
+    }
+  }
+
+  /**
+   * Reads a following or follower list from the tweet source and saves it.
+   * @param {'following'|'followers'} kind - Which list to collect.
+   * @param {string} userId - Target account id.
+   * @param {number} max - Most accounts to collect.
+   * @returns {Promise<object[]>} Collected accounts; partial if the source failed.
+   */
+  async collectConnections(kind, userId, max) {
+    Logger.info(`\n👥 Collecting ${kind} of @${this.username}...`);
+    const accounts = [];
+    let complete = true;
+
+    try {
+      const profiles =
+        kind === "following"
+          ? this.source.getFollowing(userId, max)
+          : this.source.getFollowers(userId, max);
+
+      for await (const profile of profiles) {
+        if (profile?.username) accounts.push(FollowGraph.summarizeProfile(profile));
+      }
+    } catch (error) {
+      complete = false;
+      await this.logError(error, { action: `collect ${kind}`, accountsCollected: accounts.length });
+      Logger.warn(
+        `⚠️  Stopped collecting ${kind} after ${accounts.length.toLocaleString()} accounts: ${error.message}`
+      );
+    }
+
+    await this.dataOrganizer.saveConnections(kind, {
+      username: this.username,
+      userId,
+      collectedAt: new Date().toISOString(),
+      complete,
+      accounts,
+    });
+    return accounts;
+  }
+
+  /**
+   * Collects tweets addressed to the account (to:user and @mentions) within
+   * the date range and links each one to the account's own reply.
+   * @param {object[]} tweets - The account's collected tweets.
+   * @returns {Promise<object[]>} Mentions, newest first.
+   */
+  async collectMentions(tweets) {
+    const { startDate, endDate } = this.options;
+    const target = this.username.toLowerCase();
+    let query = `(to:${this.username} OR @${this.username}) -from:${this.username}`;
+    if (startDate) query += ` since:${SearchWindows.formatDay(SearchWindows.parseDay(startDate))}`;
+    // until: is exclusive and the end date inclusive
+    if (endDate) {
+      query += ` until:${SearchWindows.formatDay(SearchWindows.parseDay(endDate) + 24 * 60 * 60 * 1000)}`;
+    }
+
+    Logger.info(`\n💬 Collecting mentions of @${this.username}...`);
+    const mentions = new Map();
+    let cursor = null;
+    let rateLimits = 0;
+    let finished = false;
+
+    while (!finished) {
+      finished = true;
+
+      try {
+        const pages = this.source.search(query, {
+          cursor,
+          batchSize: this.config.twitter.batchSize,
+          searchMode: "Latest",
+        });
+
+        for await (const page of pages) {
+          rateLimits = 0;
+
+          for (const tweet of page.tweets) {
+            if (!tweet || mentions.has(tweet.id)) continue;
+            const mention = this.processTweetData(tweet, { trackStats: false });
+            if (!mention || mention.username?.toLowerCase() === target) continue;
+            mentions.set(mention.id, mention);
+          }
+
+          cursor = page.next || cursor;
+          if (mentions.size >= this.config.twitter.maxTweets) break;
+        }
+      } catch (error) {
+        await this.logError(error, { action: "collect mentions", mentionsCollected: mentions.size });
+        if (!this.isRateLimitError(error) || ++rateLimits > this.config.twitter.maxRetries) {
+          Logger.warn(
+            `⚠️  Mention collection stopped after ${mentions.size.toLocaleString()} tweets: ${error.message}`
+          );
+          break;
+        }
+        finished = false;
+        await this.handleRateLimit(rateLimits);
+      }
+    }
+
+    // The account's replies point back at the mention they answer
+    const answers = new Map();
+    for (const tweet of tweets) {
+      if (!tweet.inReplyToStatusId) continue;
+      if (!answers.has(tweet.inReplyToStatusId)) {
+        answers.set(tweet.inReplyToStatusId, []);
+      }
+      answers.get(tweet.inReplyToStatusId).push(tweet);
+    }
+
+    const linked = Array.from(mentions.values())
+      .map((mention) => {
+        const replies = (answers.get(mention.id) || []).sort(
+          (a, b) => a.timestamp - b.timestamp
+        );
+        return {
+          ...mention,
+          answeredBy: replies.map((reply) => ({
+            id: reply.id,
+            text: reply.text,
+            createdAt: reply.createdAt,
+            permanentUrl: reply.permanentUrl,
+          })),
+          responseMinutes: replies.length
+            ? Math.round((replies[0].timestamp - mention.timestamp) / 60000)
+            : null,
+        };
+      })
+      .sort((a, b) => b.timestamp - a.timestamp);
+
+    Logger.success(
+      `✅ Collected ${linked.length.toLocaleString()} mentions (${linked
+        .filter((mention) => mention.answeredBy.length)
+        .length.toLocaleString()} answered)`
+    );
+    return linked;
+  }
+
+  /**
+   * Downloads the photos and videos of collected tweets into raw/media.
+   * @param {object[]} tweets - Collected tweets.
+   */
+  async archiveMedia(tweets) {
+    Logger.info("\n🖼️  Archiving media...");
+    const archiver = new MediaArchiver(this.paths.raw.media);
+    const counts = await archiver.archive(tweets);
+    Logger.success(
+      `✅ Media archived: ${counts.downloaded} downloaded, ${counts.reused} already stored, ${counts.failed} failed`
+    );
+  }
+
   async showSampleTweets(tweets) {
-    const { showSample } = await inquirer.prompt([
-      {
-        type: "confirm",
-        name: "showSample",
-        message: "Would you like to see a sample of collected tweets?",
-        default: true,
-      },
-    ]);
+    // --show-sample answers the prompt up front
+    let showSample = this.options.showSample;
+    if (!showSample) {
+      ({ showSample } = await inquirer.prompt([
+        {
+          type: "confirm",
+          name: "showSample",
+          message: "Would you like to see a sample of collected tweets?",
+          default: true,
+        },
+      ]));
+    }
 
     if (showSample) {
       Logger.info("\n🌟 Sample Tweets (Most Engaging):");
@@ -700,9 +1807,9 @@ async saveCookies() {
     try {
       // Get the latest date folder for this account
       const accountPath = path.join(process.cwd(), 'pipeline', account);
-      const dates = await fs.readdir(accountPath);
-      const latestDate = dates.sort().reverse()[0];
-      
+      const latestDate = await this.getLatestDateForAccount(account);
+      if (!latestDate) return [];
+
       // Read tweets from the raw tweets.json file
       const tweetsPath = path.join(accountPath, latestDate, 'raw', 'tweets.json');
       const rawData = await fs.readFile(tweetsPath, 'utf-8');
@@ -796,9 +1903,13 @@ async saveCookies() {
 
   async getLatestDateForAccount(account) {
     try {
-      const accountPath = path.join(process.cwd(), 'pipeline', account);
-      const dates = await fs.readdir(accountPath);
-      return dates.sort().reverse()[0]; // Get most recent date
+      // Only dated snapshots, not e.g. the consolidated folder
+      const organizer = new DataOrganizer('pipeline', account, undefined, {
+        createDirectories: false,
+      });
+      const dates = await organizer.listSnapshots();
+      if (dates.length === 0) throw new Error('no snapshots found');
+      return dates[dates.length - 1]; // Get most recent date
     } catch (error) {
       Logger.warn(`Could not get latest date for @${account}: ${error.message}`);
       return null;
@@ -988,59 +2099,153 @@ async saveCookies() {
     return mergeStats;
   }
 
+  /**
+   * Runs the collection with the account and its meta/pipeline.log attached
+   * to everything it logs.
+   */
   async run() {
+    return Logger.withContext(
+      { account: this.collectionName, phase: "setup", logFile: this.paths.meta.log },
+      () => this.execute()
+    );
+  }
+
+  async execute() {
     const startTime = Date.now();
+    this.stopTracking = this.trackRequests();
 
     console.log("\n" + chalk.bold.blue("🐦 Twitter Data Collection Pipeline"));
     console.log(
-      chalk.bold(`Target Account: ${chalk.cyan("@" + this.username)}\n`)
+      this.query
+        ? chalk.bold(`Target Query: ${chalk.cyan(this.query)} (${this.searchMode})\n`)
+        : chalk.bold(`Target Account: ${chalk.cyan("@" + this.username)}\n`)
     );
 
     try {
-      await this.validateEnvironment();
+      if (this.options.resume) {
+        await this.prepareResume();
+      }
+
+      if (this.options.incremental) {
+        await this.prepareIncremental();
+      }
 
-      // Initialize main scraper
-      const scraperInitialized = await this.initializeScraper();
-      if (!scraperInitialized && !this.config.fallback.enabled) {
+      await this.dataOrganizer.ready;
+      // A fresh run replaces what an interrupted run of the same day left
+      // behind, so a later --resume only continues this run
+      if (!this.checkpoint) await this.dataOrganizer.clearCheckpoint();
+      await this.configureFilter();
+
+      // Initialize the tweet source
+      const sourceInitialized = await this.source.initialize();
+      if (!sourceInitialized && !this.config.fallback.enabled) {
         throw new Error(
-          "Failed to initialize scraper and fallback is disabled"
+          `Failed to initialize ${this.source.name} source and fallback is disabled`
         );
       }
 
       // Start collection
-      Logger.startSpinner(`Collecting tweets from @${this.username}`);
-      const allTweets = await this.collectTweets(this.scraper);
+      Logger.setContext({ phase: "collect" });
+      Logger.startSpinner(
+        this.query
+          ? `Collecting tweets matching ${this.query}`
+          : `Collecting tweets from @${this.username}`
+      );
+      let allTweets = await this.collectTweets(this.source);
       Logger.stopSpinner();
+      // Only tweets read in this run (or checkpointed by the run it resumes)
+      // get readings; merged tweets from earlier snapshots were read back then
+      const readTweets = allTweets;
+
+      // Saved on every run so profile changes can be tracked over time
+      if (this.profile) {
+        await this.saveProfileSnapshot(this.profile);
+      }
+
+      if (this.previousSnapshot) {
+        // Watch polls leave the snapshot alone until something new shows up
+        if (this.options.watch && allTweets.length === 0) {
+          Logger.info(`💤 No new tweets from @${this.username}`);
+          await this.cleanup(!this.stats.interrupted);
+          return null;
+        }
+        // Saving part of the new tweets would leave a gap the next incremental
+        // run never fills, as it only fetches tweets newer than the snapshot
+        if (this.stats.interrupted) {
+          Logger.warn(
+            `⚠️  Incremental run interrupted - ${allTweets.length.toLocaleString()} new tweets kept in the checkpoint, the ${this.previousSnapshot.date} snapshot is unchanged. Run again with --resume to finish.`
+          );
+          await this.cleanup(false);
+          return null;
+        }
+        allTweets = await this.mergeWithPreviousSnapshot(allTweets);
+      }
 
       if (allTweets.length === 0) {
         Logger.warn("⚠️  No tweets collected");
+        await this.cleanup(!this.stats.interrupted);
         return;
       }
 
       // Save collected data
+      Logger.setContext({ phase: "enrich" });
+      if (this.options.resolveQuotes !== false) {
+        await this.resolveQuotedTweets(allTweets);
+      }
+
+      let threads = null;
+      if (this.options.expandThreads) {
+        threads = await this.expandThreads(allTweets);
+      }
+
+      Logger.setContext({ phase: "save" });
       Logger.startSpinner("Processing and saving data");
-      const analytics = await this.dataOrganizer.saveTweets(allTweets);
+      const include = (tweet) => this.tweetFilter.shouldIncludeTweet(tweet);
+      const analytics = await this.dataOrganizer.saveTweets(allTweets, {
+        threads,
+        quoteContext: this.options.quoteContext,
+        include,
+      });
       Logger.stopSpinner();
+      await this.dataOrganizer.saveEngagementReadings(readTweets, this.checkpoint?.readTimes);
+
+      if (this.options.archiveMedia) {
+        Logger.setContext({ phase: "media" });
+        await this.archiveMedia(allTweets.filter(include));
+      }
+
+      let interactions = null;
+      if (this.options.mentions) {
+        Logger.setContext({ phase: "mentions" });
+        const mentions = await this.collectMentions(allTweets);
+        interactions = await this.dataOrganizer.saveMentions(mentions);
+      }
+
+      if (this.options.following) {
+        Logger.setContext({ phase: "following" });
+        await this.collectFollowGraph();
+      }
 
       // Calculate final statistics
+      Logger.setContext({ phase: "report" });
       const duration = ((Date.now() - startTime) / 1000).toFixed(1);
       const tweetsPerMinute = (allTweets.length / (duration / 60)).toFixed(1);
-      const successRate = (
-        (allTweets.length /
-          (this.stats.requestCount + this.stats.fallbackCount)) *
-        100
-      ).toFixed(1);
+      const attempts = this.stats.requestCount + this.stats.fallbackCount;
+      const successRate = attempts
+        ? ((allTweets.length / attempts) * 100).toFixed(1)
+        : "n/a";
 
       // Display final results
       Logger.stats("📈 Collection Results", {
         "Total Tweets": allTweets.length.toLocaleString(),
+        "Matching Filter": analytics.totalTweets.toLocaleString(),
         "Original Tweets": analytics.directTweets.toLocaleString(),
         Replies: analytics.replies.toLocaleString(),
         Retweets: analytics.retweets.toLocaleString(),
         "Date Range": `${analytics.timeRange.start} to ${analytics.timeRange.end}`,
         Runtime: `${duration} seconds`,
         "Collection Rate": `${tweetsPerMinute} tweets/minute`,
-        "Success Rate": `${successRate}%`,
+        "Success Rate": attempts ? `${successRate}%` : successRate,
         "Rate Limit Hits": this.stats.rateLimitHits.toLocaleString(),
         "Fallback Collections": this.stats.fallbackCount.toLocaleString(),
         "Storage Location": chalk.gray(this.dataOrganizer.baseDir),
@@ -1091,79 +2296,125 @@ async saveCookies() {
       );
 
       // Collection method breakdown
-      if (this.stats.fallbackUsed) {
-        Logger.info("\n🔄 Collection Method Breakdown:");
-        console.log(
-          chalk.cyan(
-            `• Primary Collection: ${(
-              allTweets.length - this.stats.fallbackCount
-            ).toLocaleString()}`
-          )
-        );
-        console.log(
-          chalk.cyan(
-            `• Fallback Collection: ${this.stats.fallbackCount.toLocaleString()}`
-          )
+      Logger.info("\n🔄 Collection Method Breakdown:");
+      Object.entries(this.stats.sourceCounts).forEach(([source, count]) => {
+        console.log(chalk.cyan(`• ${source}: ${count.toLocaleString()}`));
+      });
+
+      // Who talks to the account most
+      if (interactions) {
+        Logger.info(
+          `\n💬 Top Interactors (${interactions.answered.toLocaleString()} of ${interactions.totalMentions.toLocaleString()} mentions answered):`
         );
+        interactions.topInteractors.slice(0, 5).forEach((interactor) => {
+          console.log(
+            chalk.cyan(
+              `• @${interactor.username}: ${interactor.mentions.toLocaleString()} mentions, ${interactor.answered.toLocaleString()} answered`
+            )
+          );
+        });
       }
 
       // Show sample tweets
-      await this.showSampleTweets(allTweets);
+      if (this.options.showSample || this.options.interactive !== false) {
+        await this.showSampleTweets(allTweets);
+      }
 
       // Cleanup
-      await this.cleanup();
+      await this.cleanup(!this.stats.interrupted);
 
       return analytics;
     } catch (error) {
       Logger.error(`Pipeline failed: ${error.message}`);
-      await this.cleanup();
+      await this.logError(error, { action: "run pipeline" });
+      await this.cleanup(false);
       throw error;
     }
   }
 
-  async cleanup() {
+  /**
+   * Closes the tweet source and the fallback browser. Sources only log out of
+   * sessions they logged in to.
+   */
+  async closeSources() {
+    await this.source.close();
+
+    if (this.fallbackSource && this.fallbackSource !== this.source) {
+      await this.fallbackSource.close();
+    }
+    await this.closeFallback();
+  }
+
+  /**
+   * Logs out, closes the fallback browser and records the final progress.
+   * @param {boolean} completed - Whether the collection finished; incomplete
+   *   runs keep their checkpoint so they can be resumed.
+   */
+  async cleanup(completed = true) {
+    const { startDate = null, endDate = null } = this.options;
+    this.stopTracking?.();
+    Logger.setContext({ phase: "cleanup" });
+
     try {
-      // Cleanup main scraper
-      if (this.scraper) {
-        await this.scraper.logout();
-        Logger.success("🔒 Logged out of primary system");
-      }
+      await this.accountPool.flushRequests();
 
-      // Cleanup fallback system
-      if (this.cluster) {
-        await this.cluster.close();
-        Logger.success("🔒 Cleaned up fallback system");
-      }
+      await this.closeSources();
 
-      await this.saveProgress(null, null, this.stats.uniqueTweets, {
-        completed: true,
+      const nextToken = completed
+        ? null
+        : await this.dataOrganizer.getLastNextToken();
+      await this.saveProgress(startDate, endDate, this.stats.uniqueTweets, {
+        completed,
+        cursor: nextToken,
         endTime: new Date().toISOString(),
         fallbackUsed: this.stats.fallbackUsed,
         fallbackCount: this.stats.fallbackCount,
         rateLimitHits: this.stats.rateLimitHits,
       });
 
+      if (completed) {
+        await this.dataOrganizer.clearCheckpoint();
+      }
+
       Logger.success("✨ Cleanup complete");
     } catch (error) {
       Logger.warn(`⚠️  Cleanup error: ${error.message}`);
-      await this.saveProgress(null, null, this.stats.uniqueTweets, {
-        completed: true,
+      await this.logError(error, { phase: "cleanup", action: "cleanup" });
+      await this.saveProgress(startDate, endDate, this.stats.uniqueTweets, {
+        completed,
         endTime: new Date().toISOString(),
         error: error.message,
       });
     }
   }
 
+  /**
+   * Records a failure with its context in meta/error_log.json. Errors already
+   * recorded (e.g. rethrown to an outer catch) are skipped.
+   * @param {Error} error
+   * @param {object} [context] - What was being done, e.g. { action: "login" }.
+   */
   async logError(error, context = {}) {
+    if (!error || journaledErrors.has(error)) return;
+    if (typeof error === "object") journaledErrors.add(error);
+
+    const phase = context.phase || Logger.getContext().phase || null;
     const errorLog = {
       timestamp: new Date().toISOString(),
+      type: ErrorJournal.classify(error, phase),
       error: {
         message: error.message,
+        code: error.code,
+        status: error.response?.status ?? error.status,
         stack: error.stack,
       },
       context: {
         ...context,
+        phase,
+        runId: new Date(this.stats.startTime).toISOString(),
         username: this.username,
+        account: this.accountPool?.current?.username || null,
+        source: this.source?.name || null,
         sessionDuration: Date.now() - this.stats.startTime,
         rateLimitHits: this.stats.rateLimitHits,
         fallbackUsed: this.stats.fallbackUsed,
@@ -1183,36 +2434,15 @@ async saveCookies() {
       },
     };
 
-    const errorLogPath = path.join(
-      this.dataOrganizer.baseDir,
-      "meta",
-      "error_log.json"
-    );
-
     try {
-      let existingLogs = [];
-      try {
-        const existing = await fs.readFile(errorLogPath, "utf-8");
-        existingLogs = JSON.parse(existing);
-      } catch {
-        // File doesn't exist yet
-      }
-
-      existingLogs.push(errorLog);
-
-      // Keep only recent errors
-      if (existingLogs.length > 100) {
-        existingLogs = existingLogs.slice(-100);
-      }
-
-      await fs.writeFile(errorLogPath, JSON.stringify(existingLogs, null, 2));
+      await ErrorJournal.append(this.paths.meta.errors, errorLog);
     } catch (logError) {
       Logger.error(`Failed to save error log: ${logError.message}`);
     }
   }
 
   async saveProgress(startDate, endDate, totalTweets, progress) {
-    const progressPath = path.join(this.dataOrganizer.baseDir, 'meta', 'progress.json');
+    const progressPath = this.paths.meta.progress;
     let existingProgress = {};
 
     try {
@@ -1226,6 +2456,14 @@ async saveCookies() {
     existingProgress.totalTweets = totalTweets;
     existingProgress.startDate = startDate;
     existingProgress.endDate = endDate;
+    // Resuming an incremental run merges into the same snapshot
+    if (this.previousSnapshot) {
+      existingProgress.previousSnapshot = this.previousSnapshot.date;
+    }
+    if (this.query) {
+      existingProgress.query = this.query;
+      existingProgress.searchMode = this.searchMode;
+    }
 
     await fs.writeFile(progressPath, JSON.stringify(existingProgress, null, 2));
   }
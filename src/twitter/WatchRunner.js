@@ -0,0 +1,167 @@
+// WatchRunner.js
+import chalk from 'chalk';
+import Logger from './Logger.js';
+import BatchRunner from './BatchRunner.js';
+
+// How long a stop request waits for the account being polled
+const STOP_GRACE_PERIOD = 30 * 1000;
+
+class WatchRunner extends BatchRunner {
+  /**
+   * Keeps polling accounts for new tweets on one shared, logged-in session.
+   * @param {string|null} rosterPath - Roster file, or null to watch usernames.
+   * @param {string[]} usernames - Accounts given on the command line.
+   * @param {object} options - Command line options (interval, jitter, ...).
+   */
+  constructor(rosterPath, usernames = [], options = {}) {
+    super(rosterPath, options);
+    this.usernames = usernames;
+    this.interval = (parseFloat(options.interval) || 15) * 60 * 1000;
+    this.jitter = (parseFloat(options.jitter) || 0) * 60 * 1000;
+    this.stopping = false;
+    this.currentPoll = null;
+    this.wake = null;
+    this.sessionPipeline = null;
+  }
+
+  async loadRoster() {
+    if (this.rosterPath) return super.loadRoster();
+
+    if (this.usernames.length === 0) {
+      throw new Error('Watch mode needs usernames or a --roster file');
+    }
+    return this.usernames.map((username) => ({ username: username.replace(/^@/, '') }));
+  }
+
+  /**
+   * Waits for the interval plus or minus a random jitter; stop() ends the wait early.
+   */
+  async sleepUntilNextCycle() {
+    const offset = (Math.random() * 2 - 1) * this.jitter;
+    const delay = Math.max(0, this.interval + offset);
+    const nextAt = new Date(Date.now() + delay);
+
+    Logger.info(`💤 Next poll at ${nextAt.toLocaleTimeString()} (${(delay / 60000).toFixed(1)} minutes)`);
+    await new Promise((resolve) => {
+      const timer = setTimeout(resolve, delay);
+      this.wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+    this.wake = null;
+  }
+
+  /**
+   * Checks the shared session before a cycle and logs in again if it expired.
+   */
+  async ensureSession() {
+    if (this.sessionPipeline.source.name !== 'scraper') return;
+
+    try {
+      if (await this.scraper.isLoggedIn()) return;
+    } catch (error) {
+      Logger.warn(`⚠️  Could not verify the session: ${error.message}`);
+    }
+
+    Logger.warn('⚠️  Session expired - logging in again');
+    await this.authenticate(this.sessionPipeline);
+  }
+
+  /**
+   * Collects tweets newer than the account's latest snapshot and merges them in.
+   * @returns {Promise<object>} result - New tweet count or the error.
+   */
+  async pollAccount(account) {
+    await this.waitForSlot();
+    const pipeline = this.createPipeline(account, { incremental: true, watch: true });
+
+    try {
+      await pipeline.run();
+      // Interrupted polls leave the snapshot alone until --resume or the next poll
+      if (pipeline.stats.interrupted) {
+        return { username: account.username, success: false, error: `interrupted: ${pipeline.stats.interruptedBy}` };
+      }
+      return { username: account.username, success: true, newTweets: pipeline.stats.uniqueTweets };
+    } catch (error) {
+      Logger.error(`@${account.username} failed: ${error.message}`);
+      return { username: account.username, success: false, error: error.message };
+    }
+  }
+
+  async run() {
+    const accounts = await this.loadRoster();
+    Logger.info(
+      `👀 Watching ${accounts.length} accounts every ${(this.interval / 60000).toFixed(1)} minutes (±${(
+        this.jitter / 60000
+      ).toFixed(1)})`
+    );
+
+    // Log in once (saved cookies first) and keep the session between polls
+    this.sessionPipeline = this.createPipeline(accounts[0]);
+    await this.authenticate(this.sessionPipeline);
+
+    let cycle = 0;
+    while (!this.stopping) {
+      cycle++;
+      await this.ensureSession();
+      const results = [];
+
+      for (const account of accounts) {
+        if (this.stopping) break;
+        this.currentPoll = this.pollAccount(account);
+        results.push(await this.currentPoll);
+        this.currentPoll = null;
+      }
+
+      this.displayCycleSummary(cycle, results);
+      await this.saveSession();
+
+      if (!this.stopping) {
+        await this.sleepUntilNextCycle();
+      }
+    }
+  }
+
+  async saveSession() {
+    if (this.sessionPipeline?.source.name === 'scraper') {
+      await this.sessionPipeline.saveCookies();
+    }
+  }
+
+  displayCycleSummary(cycle, results) {
+    const summary = {};
+    for (const result of results) {
+      summary[`@${result.username}`] = result.success
+        ? chalk.green(`✓ ${result.newTweets.toLocaleString()} new tweets`)
+        : chalk.red(`✗ ${result.error}`);
+    }
+    summary['New Tweets'] = results
+      .reduce((sum, result) => sum + (result.newTweets || 0), 0)
+      .toLocaleString();
+
+    Logger.stats(`👀 Poll ${cycle} (${new Date().toLocaleTimeString()})`, summary);
+  }
+
+  /**
+   * Stops after the account being polled (or right away when idle) and keeps
+   * the session cookies for the next start instead of logging out.
+   */
+  async stop() {
+    this.stopping = true;
+    this.wake?.();
+
+    if (this.currentPoll) {
+      Logger.info(`⏳ Waiting up to ${STOP_GRACE_PERIOD / 1000} seconds for the current account...`);
+      await Promise.race([
+        this.currentPoll,
+        new Promise((resolve) => setTimeout(resolve, STOP_GRACE_PERIOD).unref()),
+      ]);
+    }
+
+    await this.saveSession();
+    Logger.success('👋 Watch mode stopped');
+  }
+}
+
+export default WatchRunner;
@@ -0,0 +1,234 @@
+// cookies.js
+import dotenv from 'dotenv';
+dotenv.config();
+
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import Table from 'cli-table3';
+import { program } from 'commander';
+import { Scraper } from 'agent-twitter-client';
+import AccountPool from './AccountPool.js';
+import Logger from './Logger.js';
+import ProxyPool from './ProxyPool.js';
+import RequestGovernor from './RequestGovernor.js';
+import SecretStore from './SecretStore.js';
+
+// The cookie that carries the logged-in session
+const AUTH_COOKIE = 'auth_token';
+
+/**
+ * Pool accounts plus any other account with saved cookies.
+ * @param {AccountPool} pool
+ * @returns {Promise<string[]>} usernames
+ */
+async function listSessions(pool) {
+  const files = await fs.readdir(path.join(process.cwd(), 'cookies')).catch(() => []);
+  const saved = files
+    .filter((file) => file.endsWith('_cookies.json'))
+    .map((file) => file.replace(/_cookies\.json$/, ''));
+  const pooled = (await pool.load()).map((account) => account.username);
+  return [...new Set([...pooled, ...saved])];
+}
+
+/**
+ * Reads what is saved for one session without contacting Twitter.
+ * @returns {Promise<object>} session - Whether cookies are saved and encrypted,
+ *   when they were saved and when the session cookie expires.
+ */
+async function describeSession(pool, username) {
+  const cookiesPath = AccountPool.cookiesPath(username);
+  const stat = await fs.stat(cookiesPath).catch(() => null);
+  if (!stat) return { username, saved: false };
+
+  const session = {
+    username,
+    saved: true,
+    savedAt: stat.mtime,
+    encrypted: false,
+    cookies: null,
+    expires: null,
+    error: null,
+  };
+
+  try {
+    session.encrypted = SecretStore.isEncrypted(JSON.parse(await fs.readFile(cookiesPath, 'utf-8')));
+    session.cookies = await pool.loadCookies(username);
+    const auth = session.cookies.find((cookie) => cookie.key === AUTH_COOKIE);
+    session.expires = auth ? auth.expires || 'session' : null;
+  } catch (error) {
+    session.error = error.message;
+  }
+  return session;
+}
+
+/**
+ * Loads an account's saved cookies into a fresh scraper and asks Twitter
+ * whether the session is still logged in.
+ * @returns {Promise<{scraper: Scraper, loggedIn: boolean}>}
+ */
+async function openSession(pool, username) {
+  // Sessions are checked from the account's own proxy, never the host IP
+  const account = pool.accounts?.find((entry) => entry.username === username) || { username };
+  const proxy = await new ProxyPool().assign(account);
+  const governor = new RequestGovernor({
+    scope: username,
+    fetch: proxy ? ProxyPool.createFetch(proxy) : globalThis.fetch,
+  });
+  const scraper = new Scraper({ fetch: governor.fetch });
+
+  const cookies = await pool.loadCookies(username);
+  if (!cookies) return { scraper, loggedIn: false };
+
+  await scraper.setCookies(AccountPool.toCookieStrings(cookies));
+  return { scraper, loggedIn: await scraper.isLoggedIn().catch(() => false) };
+}
+
+function formatExpiry(expires) {
+  if (!expires) return chalk.red('no session cookie');
+  if (expires === 'session') return chalk.yellow('end of session');
+
+  const date = new Date(expires);
+  const days = Math.floor((date - Date.now()) / (24 * 60 * 60 * 1000));
+  if (days < 0) return chalk.red(`expired ${date.toLocaleDateString()}`);
+  return `${date.toLocaleDateString()} ${chalk.dim(`(${days} days)`)}`;
+}
+
+async function listCommand() {
+  const pool = new AccountPool();
+  const usernames = await listSessions(pool);
+  const pooled = new Set(pool.accounts.map((account) => account.username));
+
+  const table = new Table({
+    head: ['Account', 'In Pool', 'Saved', 'Encrypted', 'Session Expires'].map((h) => chalk.white(h)),
+  });
+
+  for (const username of usernames) {
+    const session = await describeSession(pool, username);
+    table.push([
+      `@${username}`,
+      pooled.has(username) ? chalk.green('✓') : chalk.dim('✗'),
+      session.saved ? session.savedAt.toLocaleString() : chalk.dim('no cookies'),
+      session.saved ? (session.encrypted ? chalk.green('✓') : chalk.yellow('✗')) : chalk.dim('-'),
+      session.error
+        ? chalk.red(session.error)
+        : session.saved
+          ? formatExpiry(session.expires)
+          : chalk.dim('-'),
+    ]);
+  }
+
+  console.log(chalk.bold.blue('\n🍪 Saved sessions'));
+  console.log(table.toString());
+}
+
+async function validateCommand(usernames) {
+  const pool = new AccountPool();
+  await pool.load();
+  const targets = usernames.length ? usernames.map((u) => u.replace(/^@/, '')) : await listSessions(pool);
+  let invalid = 0;
+
+  for (const username of targets) {
+    try {
+      const session = await describeSession(pool, username);
+      if (!session.saved) {
+        Logger.warn(`⚠️  @${username}: no saved cookies`);
+        invalid++;
+        continue;
+      }
+
+      const { loggedIn } = await openSession(pool, username);
+      if (loggedIn) {
+        Logger.success(`✅ @${username}: logged in (session expires ${formatExpiry(session.expires)})`);
+      } else {
+        Logger.warn(`⚠️  @${username}: logged out - run npm run cookies -- refresh ${username}`);
+        invalid++;
+      }
+    } catch (error) {
+      Logger.error(`@${username}: ${error.message}`);
+      invalid++;
+    }
+  }
+
+  if (invalid > 0) process.exitCode = 1;
+}
+
+async function refreshCommand(usernames) {
+  const pool = new AccountPool();
+  const accounts = await pool.load();
+  const targets = usernames.length
+    ? usernames.map((u) => u.replace(/^@/, ''))
+    : accounts.map((account) => account.username);
+  let failed = 0;
+
+  for (const username of targets) {
+    const account = accounts.find((entry) => entry.username === username);
+
+    try {
+      const { scraper, loggedIn } = await openSession(pool, username);
+
+      if (!loggedIn) {
+        if (!account) {
+          throw new Error('logged out and not in the account pool, so it cannot log in again');
+        }
+        Logger.info(`🔑 Logging @${username} in again...`);
+        await scraper.login(account.username, account.password, account.email, account.twoFactorSecret);
+        if (!(await scraper.isLoggedIn())) throw new Error('Login verification failed');
+      }
+
+      await pool.saveCookies(username, await scraper.getCookies());
+      Logger.success(
+        `✅ @${username}: ${loggedIn ? 'session still valid' : 'logged in'}, cookies saved${
+          pool.store.enabled ? ' (encrypted)' : ''
+        }`
+      );
+    } catch (error) {
+      Logger.error(`@${username}: ${error.message}`);
+      if (account) {
+        await pool.markFailure(username, RequestGovernor.isAuthLockError(error) ? 'locked' : 'login failed');
+      }
+      failed++;
+    }
+  }
+
+  if (failed > 0) process.exitCode = 1;
+}
+
+async function deleteCommand(usernames) {
+  const pool = new AccountPool();
+  for (const username of usernames.map((u) => u.replace(/^@/, ''))) {
+    await pool.deleteCookies(username);
+    Logger.success(`🗑️  Deleted saved cookies for @${username}`);
+  }
+}
+
+// npm run cookies -- list | validate [usernames...] | refresh [usernames...] | delete <usernames...>
+program.description('Manage saved session cookies');
+
+program
+  .command('list')
+  .description('List saved sessions, whether they are encrypted and when they expire')
+  .action(listCommand);
+
+program
+  .command('validate')
+  .argument('[usernames...]', 'Accounts to check (default: every saved session)')
+  .description('Check with Twitter whether each saved session is still logged in')
+  .action(validateCommand);
+
+program
+  .command('refresh')
+  .argument('[usernames...]', 'Accounts to refresh (default: every pool account)')
+  .description('Re-save valid sessions and log expired ones in again')
+  .action(refreshCommand);
+
+program
+  .command('delete')
+  .argument('<usernames...>', 'Accounts whose cookies to delete')
+  .description('Delete saved cookies')
+  .action(deleteCommand);
+
+program.parseAsync(process.argv).catch((error) => {
+  Logger.error(`Cookie command failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,215 @@
+// deleted_tweets.js
+import fs from 'fs/promises';
+import chalk from 'chalk';
+import Table from 'cli-table3';
+import { program } from 'commander';
+import { fileURLToPath } from 'url';
+import DataOrganizer from './DataOrganizer.js';
+import Logger from './Logger.js';
+import TweetFilter from './TweetFilter.js';
+
+// Folder (next to the dated snapshots) that --mark writes to
+const CONSOLIDATED = 'consolidated';
+
+/**
+ * Loads the tweets of each snapshot, with the time range they cover and the
+ * filter they were collected with.
+ * @param {string} username - Account to read.
+ * @param {object} options
+ * @param {string[]} [options.dates] - Snapshots to compare (default: all).
+ * @param {string} [options.from] - First snapshot date to include (yyyy-MM-dd).
+ * @param {string} [options.to] - Last snapshot date to include (yyyy-MM-dd).
+ * @returns {Promise<object[]>} Snapshots with tweets, oldest, newest and filter, oldest first.
+ */
+async function loadSnapshots(username, { dates, from, to }) {
+  const organizer = new DataOrganizer('pipeline', username, undefined, {
+    createDirectories: false,
+  });
+  const available = await organizer.listSnapshots();
+  const missing = (dates || []).filter((date) => !available.includes(date));
+  if (missing.length > 0) {
+    throw new Error(`No snapshots of @${username} on ${missing.join(', ')}`);
+  }
+
+  const snapshots = [];
+  for (const date of dates?.length ? [...dates].sort() : available) {
+    if ((from && date < from) || (to && date > to)) continue;
+
+    const snapshot = new DataOrganizer('pipeline', username, date, {
+      createDirectories: false,
+    });
+    const tweets = (await snapshot.loadTweets()).filter((tweet) => tweet.timestamp);
+    if (tweets.length === 0) continue;
+
+    // Tweets the snapshot's filter left out can't be told apart from deleted ones
+    const filter = new TweetFilter();
+    const configPath = snapshot.getPaths().meta.filterConfig;
+    if (await fs.access(configPath).then(() => true, () => false)) {
+      await filter.loadConfig(configPath, { quiet: true });
+    } else {
+      filter.selectAll();
+    }
+
+    const timestamps = tweets.map((tweet) => tweet.timestamp);
+    snapshots.push({
+      date,
+      tweets: new Map(tweets.map((tweet) => [tweet.id, tweet])),
+      oldest: Math.min(...timestamps),
+      newest: Math.max(...timestamps),
+      filter,
+    });
+  }
+
+  return snapshots;
+}
+
+/**
+ * Finds tweets that a snapshot had and a later snapshot covering the same
+ * time (and collected with a filter that would keep them) doesn't. Tweets that
+ * show up again in an even later snapshot aren't counted.
+ * @param {object[]} snapshots - From loadSnapshots(), oldest first.
+ * @returns {object[]} The last reading of each deleted tweet with lastSeenIn and missingIn, newest first.
+ */
+function findDeletedTweets(snapshots) {
+  const lastSeen = new Map();
+  snapshots.forEach((snapshot, index) => {
+    for (const id of snapshot.tweets.keys()) lastSeen.set(id, index);
+  });
+
+  const deleted = [];
+  for (const [id, index] of lastSeen) {
+    const tweet = snapshots[index].tweets.get(id);
+    const missingIn = snapshots
+      .slice(index + 1)
+      .find(
+        (later) =>
+          tweet.timestamp >= later.oldest &&
+          tweet.timestamp <= later.newest &&
+          later.filter.shouldIncludeTweet(tweet)
+      );
+
+    if (missingIn) {
+      deleted.push({ ...tweet, lastSeenIn: snapshots[index].date, missingIn: missingIn.date });
+    }
+  }
+
+  return deleted.sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Saves every tweet from the snapshots, newest reading first, with deleted
+ * ones marked, and rebuilds the analytics and fine-tuning data from them.
+ * @param {string} username
+ * @param {object[]} snapshots - From loadSnapshots().
+ * @param {object[]} deleted - From findDeletedTweets().
+ * @returns {Promise<string>} Folder the dataset was written to.
+ */
+async function saveConsolidated(username, snapshots, deleted) {
+  const tweets = new Map();
+  for (const snapshot of snapshots) {
+    snapshot.tweets.forEach((tweet, id) => tweets.set(id, tweet));
+  }
+  for (const { lastSeenIn, missingIn, ...tweet } of deleted) {
+    tweets.set(tweet.id, { ...tweet, deleted: true, deletedBetween: [lastSeenIn, missingIn] });
+  }
+
+  const organizer = new DataOrganizer('pipeline', username, CONSOLIDATED);
+  await organizer.ready;
+  await organizer.saveTweets(
+    Array.from(tweets.values()).sort((a, b) => b.timestamp - a.timestamp)
+  );
+  await organizer.saveDeletedTweets({
+    snapshots: snapshots.map((snapshot) => snapshot.date),
+    generatedAt: new Date().toISOString(),
+    deleted: deleted.map((tweet) => ({
+      id: tweet.id,
+      createdAt: tweet.createdAt,
+      lastSeenIn: tweet.lastSeenIn,
+      missingIn: tweet.missingIn,
+      text: tweet.text,
+      url: tweet.permanentUrl,
+    })),
+  });
+  return organizer.baseDir;
+}
+
+function displayDeleted(deleted) {
+  const table = new Table({
+    head: ['Posted', 'Last Seen', 'Missing In', 'Likes', 'Text'].map((h) => chalk.white(h)),
+    colWidths: [12, 12, 12, 8, 60],
+    wordWrap: true,
+  });
+
+  for (const tweet of deleted) {
+    table.push([
+      tweet.createdAt.split('T')[0],
+      tweet.lastSeenIn,
+      tweet.missingIn,
+      (tweet.likes || 0).toLocaleString(),
+      (tweet.text || '').replace(/\s+/g, ' ').slice(0, 120),
+    ]);
+  }
+
+  console.log(chalk.cyan('\n🗑️  Deleted Tweets:'));
+  console.log(table.toString());
+}
+
+async function main() {
+  // npm run deleted-tweets -- <username> [snapshots...] [--from 2024-01-01] [--to 2024-06-30] [--mark] [--json]
+  program
+    .argument('<username>', 'Account whose snapshots to compare')
+    .argument('[snapshots...]', 'Snapshot dates to compare (default: all)')
+    .option('--from <date>', 'First snapshot date to include (YYYY-MM-DD)')
+    .option('--to <date>', 'Last snapshot date to include (YYYY-MM-DD)')
+    .option('--mark', `Write every snapshot's tweets, deleted ones marked, to pipeline/<username>/${CONSOLIDATED}`)
+    .option('--json', 'Print the deleted tweets as JSON')
+    .parse(process.argv);
+
+  const [account, ...dates] = program.args;
+  const username = account.replace(/^@/, '');
+  const options = program.opts();
+
+  const snapshots = await loadSnapshots(username, { dates, ...options });
+  if (snapshots.length < 2) {
+    Logger.error(`Need at least two snapshots with tweets for @${username}, found ${snapshots.length}.`);
+    process.exit(1);
+  }
+
+  const deleted = findDeletedTweets(snapshots);
+
+  if (options.json) {
+    console.log(
+      JSON.stringify(
+        { username, snapshots: snapshots.map((snapshot) => snapshot.date), deleted },
+        null,
+        2
+      )
+    );
+  } else {
+    console.log(chalk.bold.blue(`\n🔍 Deleted tweets of @${username}`));
+    Logger.info(
+      `Compared ${snapshots.length} snapshots from ${snapshots[0].date} to ${snapshots[snapshots.length - 1].date}`
+    );
+    if (deleted.length === 0) {
+      Logger.success('No deleted tweets found');
+    } else {
+      displayDeleted(deleted);
+      Logger.warn(`${deleted.length.toLocaleString()} tweets were deleted`);
+    }
+  }
+
+  if (options.mark) {
+    const folder = await saveConsolidated(username, snapshots, deleted);
+    Logger.success(`✅ Saved the consolidated dataset to ${folder} (deleted tweets left out of fine-tuning data)`);
+  }
+}
+
+// Only run the command when executed directly, not when imported
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch((error) => {
+    Logger.error(`Failed to compare snapshots: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+export { loadSnapshots, findDeletedTweets };
@@ -2,8 +2,11 @@
 import dotenv from 'dotenv';
 dotenv.config();
 
+import { program } from 'commander';
 import TwitterPipeline from './TwitterPipeline.js';
-import Logger from './Logger.js';
+import BatchRunner from './BatchRunner.js';
+import WatchRunner from './WatchRunner.js';
+import Logger, { LOG_FORMATS } from './Logger.js';
 
 process.on('unhandledRejection', (error) => {
   Logger.error(`❌ Unhandled promise rejection: ${error.message}`);
@@ -15,21 +18,112 @@ process.on('uncaughtException', (error) => {
   process.exit(1);
 });
 
-const args = process.argv.slice(2);
-const username = args[0] || 'degenspartan';
+// Setup command line options to work with both formats:
+// npm run twitter -- username --start-date 2024-01-01
+// node src/twitter/index.js username --start-date 2024-01-01
+// npm run twitter -- --watch username another_username --interval 30
+program
+  .allowExcessArguments(true)
+  .argument('[username]', 'Twitter username to collect (several with --watch)')
+  .option('-s, --start-date <date>', 'Start date (YYYY-MM-DD)')
+  .option('-e, --end-date <date>', 'End date (YYYY-MM-DD)')
+  .option('--window-days <days>', 'Days per since:/until: search window for date ranges (default 30, shrinks when Twitter caps results)')
+  .option('-r, --resume', 'Resume the last interrupted collection from its checkpoint')
+  .option('-i, --incremental', 'Only fetch tweets newer than the latest snapshot and merge them into it')
+  .option('-f, --filter-config <file>', 'Tweet filter config (JSON) instead of the interactive prompts')
+  .option('-m, --max-tweets <number>', 'Maximum tweets to collect per account')
+  .option('--expand-threads', 'Fetch missing reply parents and save conversation trees to raw/threads.json')
+  .option('--no-resolve-quotes', 'Skip fetching quoted tweets the search results left out')
+  .option('--quote-context', 'Include the quoted tweet as context in fine-tuning data')
+  .option('--mentions', 'Also collect tweets addressed to the account into raw/mentions.json')
+  .option('--following', 'Also collect the accounts the target follows into raw/following.json')
+  .option('--followers-sample <number>', 'With --following, also collect up to this many followers')
+  .option('--archive-media', 'Download tweet images and videos into raw/media')
+  .option('--source <type>', 'Tweet source: scraper, puppeteer or fixture', 'scraper')
+  .option('--fixtures <dir>', 'Directory of recorded raw tweets for the fixture source')
+  .option('-q, --query <query>', 'Collect tweets matching raw search operators instead of one account')
+  .option('--search-mode <mode>', 'Search results to collect with --query: Latest or Top', 'Latest')
+  .option('--roster <file>', 'Collect every account listed in a roster file (JSON)')
+  .option('--concurrency <number>', 'Accounts collected at the same time in batch mode', '1')
+  .option('--spacing <seconds>', 'Minimum delay between account starts in batch mode', '60')
+  .option('-w, --watch', 'Keep polling the accounts for new tweets and merge them into the current snapshot')
+  .option('--interval <minutes>', 'Minutes between polls in watch mode', '15')
+  .option('--jitter <minutes>', 'Random variation added to or taken from the watch interval', '2')
+  .option('-y, --yes', 'Never prompt: use flags and defaults instead (implied without a TTY)')
+  .option('--non-interactive', 'Same as --yes')
+  .option('--show-sample', 'Print the most engaging tweets at the end without asking')
+  .option('--log-format <format>', 'Console output: pretty, plain or json (default: pretty on a TTY, plain otherwise)')
+  .parse(process.argv);
 
-const pipeline = new TwitterPipeline(username);
+const options = program.opts();
 
+if (options.logFormat && !LOG_FORMATS.includes(options.logFormat)) {
+  Logger.error(`Unknown log format "${options.logFormat}". Use ${LOG_FORMATS.join(', ')}`);
+  process.exit(1);
+}
+Logger.configure({ format: options.logFormat || process.env.LOG_FORMAT });
+// Cron jobs and containers have no TTY to answer prompts
+options.interactive = !(options.yes || options.nonInteractive) && Boolean(process.stdin.isTTY);
+const username = program.args[0] || (options.query ? null : 'degenspartan');
+
+if (options.query && (options.roster || options.watch)) {
+  Logger.error('❌ --query cannot be combined with --roster or --watch; put from: operators in the query instead.');
+  process.exit(1);
+}
+
+if (options.query && (options.mentions || options.following)) {
+  Logger.error('❌ --mentions and --following need one account and cannot be combined with --query.');
+  process.exit(1);
+}
+
+let pipeline;
+if (options.watch) {
+  pipeline = new WatchRunner(options.roster, program.args, options);
+} else if (options.roster) {
+  pipeline = new BatchRunner(options.roster, options);
+} else {
+  pipeline = new TwitterPipeline(username, options);
+}
+
+let stopping = false;
 const cleanup = async () => {
+  // A second signal skips the graceful stop
+  if (stopping) process.exit(1);
+  stopping = true;
+
   Logger.warn('\n🛑 Received termination signal. Cleaning up...');
+
+  // Watch mode keeps its session cookies for the next start
+  if (pipeline instanceof WatchRunner) {
+    await pipeline.stop();
+    Logger.info('👀 Start watch mode again to pick up from the newest saved tweets.');
+    process.exit(0);
+  }
+
+  // Checked before logging out, while the runs are still known
+  let resumeHint;
+  if (pipeline instanceof BatchRunner) {
+    const checkpointed = await pipeline.checkpointedAccounts().catch(() => []);
+    resumeHint = checkpointed.length
+      ? `💾 Checkpoints kept for ${checkpointed.map((name) => `@${name}`).join(', ')}. Run the roster again with --resume to continue them.`
+      : 'No account had saved a checkpoint yet; run the roster again to start over.';
+  } else {
+    resumeHint = (await pipeline.hasCheckpoint().catch(() => false))
+      ? '💾 Collection checkpoint kept. Run again with --resume to continue.'
+      : 'No checkpoint was saved yet; run again to start over.';
+  }
+
+  // Only sessions this run logged in to are logged out
   try {
-    if (pipeline.scraper) {
-      await pipeline.scraper.logout();
-      Logger.success('🔒 Logged out successfully.');
+    if (pipeline instanceof BatchRunner) {
+      await pipeline.cleanup();
+    } else {
+      await pipeline.closeSources();
     }
   } catch (error) {
     Logger.error(`❌ Error during cleanup: ${error.message}`);
   }
+  Logger.info(resumeHint);
   process.exit(0);
 };
 
@@ -2,34 +2,90 @@ import TwitterPipeline from './TwitterPipeline.js';
 import Logger from './Logger.js';
 import inquirer from 'inquirer';
 import chalk from 'chalk';
+import { program } from 'commander';
 
-// Get arguments directly from process.argv
-const [,, newCharacter, character1, character2] = process.argv;
+const RANKING_METHODS = {
+  total: 'Total engagement (likes + retweets)',
+  likes: 'Likes only',
+  retweets: 'Retweets only',
+};
+
+// npm run merge-characters -- <new_name> <account1> <account2> [--tweets-per-account 50] [--include-retweets] [--rank-by likes] [--yes]
+program
+  .argument('<new_name>', 'Name of the merged character')
+  .argument('<accounts...>', 'Collected accounts to merge (at least two)')
+  .option('--tweets-per-account <number>', 'Top tweets to include from each account (default 50)')
+  .option('--include-retweets', 'Keep retweets (they are excluded by default)')
+  .option('--rank-by <method>', 'How tweets are ranked: total, likes or retweets (default total)')
+  .option('-y, --yes', 'Never prompt: use flags and defaults instead (implied without a TTY)')
+  .option('--non-interactive', 'Same as --yes')
+  .parse(process.argv);
+
+const [newCharacter, ...sourceAccounts] = program.args;
+const flags = program.opts();
+const interactive = !(flags.yes || flags.nonInteractive) && Boolean(process.stdin.isTTY);
+
+/**
+ * Reads the merge options given as flags.
+ * @returns {object} options - Only the values that were passed.
+ */
+function parseMergeFlags() {
+  const options = {};
+
+  if (flags.tweetsPerAccount !== undefined) {
+    options.tweetsPerAccount = parseInt(flags.tweetsPerAccount);
+    if (!(options.tweetsPerAccount > 0)) {
+      throw new Error(`--tweets-per-account must be a positive number, got "${flags.tweetsPerAccount}"`);
+    }
+  }
+  if (flags.includeRetweets) {
+    options.excludeRetweets = false;
+  }
+  if (flags.rankBy !== undefined) {
+    if (!(flags.rankBy in RANKING_METHODS)) {
+      throw new Error(`--rank-by must be one of ${Object.keys(RANKING_METHODS).join(', ')}, got "${flags.rankBy}"`);
+    }
+    options.rankingMethod = flags.rankBy;
+  }
+
+  return options;
+}
+
+/**
+ * Asks for the merge options not given as flags, or uses their defaults
+ * when not interactive.
+ */
+async function promptForMergeOptions(options) {
+  if (!interactive) {
+    return { tweetsPerAccount: 50, excludeRetweets: true, rankingMethod: 'total', ...options };
+  }
 
-async function promptForMergeOptions(sourceAccounts, availableTweets) {
   const answers = await inquirer.prompt([
     {
       type: 'number',
       name: 'tweetsPerAccount',
       message: 'How many top tweets to include from each account?',
-      default: 50
+      default: 50,
+      when: options.tweetsPerAccount === undefined
     },
     {
       type: 'confirm',
       name: 'excludeRetweets',
       message: 'Exclude retweets?',
-      default: true
+      default: true,
+      when: options.excludeRetweets === undefined
     },
     {
       type: 'list',
       name: 'rankingMethod',
       message: 'How should tweets be ranked?',
-      choices: ['Total engagement (likes + retweets)', 'Likes only', 'Retweets only'],
-      default: 'Total engagement (likes + retweets)'
+      choices: Object.entries(RANKING_METHODS).map(([value, name]) => ({ name, value })),
+      default: 'total',
+      when: options.rankingMethod === undefined
     }
   ]);
 
-  return answers;
+  return { ...answers, ...options };
 }
 
 async function displayTweetSample(tweets, sourceAccounts) {
@@ -37,17 +93,17 @@ async function displayTweetSample(tweets, sourceAccounts) {
 }
 
 async function main() {
-  const sourceAccounts = [character1, character2];
-
-  if (!newCharacter || sourceAccounts.length < 2) {
+  if (sourceAccounts.length < 2) {
     Logger.error("Usage: node merge_characters.js <new_name> <account1> <account2>");
     Logger.info("Example: node merge_characters.js alfacito cryptocito alfaketchum");
     process.exit(1);
   }
 
   try {
+    // Bad flags fail before any work is done
+    const flagOptions = parseMergeFlags();
     const pipeline = new TwitterPipeline(newCharacter);
-    
+
     // Get available tweet counts for each account
     const availableTweets = await Promise.all(sourceAccounts.map(async (account) => {
       try {
@@ -66,12 +122,12 @@ async function main() {
     });
 
     // Get merge options
-    const options = await promptForMergeOptions(sourceAccounts, availableTweets);
-    
+    const options = await promptForMergeOptions(flagOptions);
+
     // Create merged character with options
     const mergedTweets = await pipeline.createMergedCharacter(sourceAccounts, {
       tweetsPerAccount: options.tweetsPerAccount,
-      filterRetweets: !options.excludeRetweets,
+      filterRetweets: options.excludeRetweets,
       sortBy: options.rankingMethod
     });
 
@@ -83,4 +139,4 @@ async function main() {
   }
 }
 
-main(); 
\ No newline at end of file
+main();
\ No newline at end of file
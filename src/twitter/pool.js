@@ -0,0 +1,96 @@
+// pool.js
+import dotenv from 'dotenv';
+dotenv.config();
+
+import fs from 'fs/promises';
+import chalk from 'chalk';
+import Table from 'cli-table3';
+import { program } from 'commander';
+import AccountPool from './AccountPool.js';
+import Logger from './Logger.js';
+
+function formatTime(value) {
+  return value ? new Date(value).toLocaleString() : chalk.dim('never');
+}
+
+function formatStatus(status) {
+  return status === 'ok' ? chalk.green('ok') : chalk.red(status);
+}
+
+/**
+ * Prints every pooled account with its health and whether its cookies are saved.
+ */
+async function showStatus() {
+  const pool = new AccountPool();
+  const accounts = await pool.status();
+
+  if (accounts.length === 0) {
+    Logger.error(`No accounts in ${pool.poolPath} or TWITTER_USERNAME/TWITTER_PASSWORD`);
+    process.exit(1);
+  }
+
+  const table = new Table({
+    head: ['Account', 'Status', 'Cooling Down Until', 'Last Failure', 'Requests', 'Last Used', 'Cookies'].map(
+      (h) => chalk.white(h)
+    ),
+  });
+
+  for (const account of accounts) {
+    const hasCookies = await fs
+      .access(AccountPool.cookiesPath(account.username))
+      .then(() => true, () => false);
+
+    table.push([
+      `@${account.username}`,
+      formatStatus(account.status),
+      account.cooldownUntil ? formatTime(account.cooldownUntil) : chalk.dim('-'),
+      account.lastFailure
+        ? `${account.lastFailure.reason} (${formatTime(account.lastFailure.at)})`
+        : chalk.dim('-'),
+      account.totalRequests.toLocaleString(),
+      formatTime(account.lastUsed),
+      hasCookies ? chalk.green('✓') : chalk.dim('✗'),
+    ]);
+  }
+
+  const healthy = accounts.filter((account) => account.status === 'ok').length;
+  console.log(chalk.bold.blue('\n👥 Account pool'));
+  console.log(table.toString());
+  Logger.info(`${healthy} of ${accounts.length} accounts ready`);
+}
+
+/**
+ * Rewrites the pool file encrypted with TWITTER_STORE_PASSPHRASE.
+ */
+async function encryptPool() {
+  const pool = new AccountPool();
+  if (!pool.store.enabled) {
+    Logger.error('Set TWITTER_STORE_PASSPHRASE to encrypt the account pool');
+    process.exit(1);
+  }
+
+  const accounts = await pool.store.readJson(pool.poolPath);
+  if (!accounts) {
+    Logger.error(`No account pool at ${pool.poolPath}`);
+    process.exit(1);
+  }
+
+  await pool.store.writeJson(pool.poolPath, accounts);
+  Logger.success(`🔐 Encrypted ${pool.poolPath}`);
+}
+
+// npm run pool -- status | encrypt
+program
+  .command('status')
+  .description('Show the health of every account in the pool')
+  .action(showStatus);
+
+program
+  .command('encrypt')
+  .description('Encrypt the account pool file with TWITTER_STORE_PASSPHRASE')
+  .action(encryptPool);
+
+program.parseAsync(process.argv).catch((error) => {
+  Logger.error(`Account pool command failed: ${error.message}`);
+  process.exit(1);
+});
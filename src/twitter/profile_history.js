@@ -0,0 +1,179 @@
+// profile_history.js
+import chalk from 'chalk';
+import Table from 'cli-table3';
+import { program } from 'commander';
+import DataOrganizer from './DataOrganizer.js';
+import Logger from './Logger.js';
+
+// Profile fields whose changes are listed between snapshots
+const TRACKED_FIELDS = {
+  name: 'Display Name',
+  biography: 'Bio',
+  location: 'Location',
+  website: 'Website',
+  url: 'URL',
+  avatar: 'Avatar',
+  banner: 'Banner',
+  pinnedTweetId: 'Pinned Tweet',
+  isVerified: 'Verified',
+  isBlueVerified: 'Blue Verified',
+  isPrivate: 'Protected',
+};
+
+const COUNT_FIELDS = ['followersCount', 'followingCount', 'tweetsCount'];
+
+/**
+ * Loads every saved profile snapshot for an account.
+ * @param {string} username - Account to read.
+ * @param {object} [range]
+ * @param {string} [range.from] - First snapshot date to include (yyyy-MM-dd).
+ * @param {string} [range.to] - Last snapshot date to include (yyyy-MM-dd).
+ * @returns {Promise<{date: string, profile: object}[]>} Snapshots, oldest first.
+ */
+async function loadHistory(username, { from, to } = {}) {
+  const organizer = new DataOrganizer('pipeline', username, undefined, {
+    createDirectories: false,
+  });
+  const history = [];
+
+  for (const date of await organizer.listSnapshots()) {
+    if ((from && date < from) || (to && date > to)) continue;
+
+    const snapshot = new DataOrganizer('pipeline', username, date, {
+      createDirectories: false,
+    });
+    const profile = await snapshot.loadProfile();
+    if (profile) history.push({ date, profile });
+  }
+
+  return history;
+}
+
+/**
+ * Lists the tracked fields that differ between two profile snapshots.
+ * @param {object} previous - Older profile.
+ * @param {object} current - Newer profile.
+ * @returns {{field: string, label: string, from: *, to: *}[]}
+ */
+function diffProfiles(previous, current) {
+  return Object.entries(TRACKED_FIELDS)
+    .filter(([field]) => (previous[field] ?? null) !== (current[field] ?? null))
+    .map(([field, label]) => ({
+      field,
+      label,
+      from: previous[field] ?? null,
+      to: current[field] ?? null,
+    }));
+}
+
+function formatDelta(current, previous) {
+  if (current === null || current === undefined) return chalk.dim('-');
+  if (previous === null || previous === undefined) return current.toLocaleString();
+
+  const delta = current - previous;
+  const sign = delta > 0 ? '+' : '';
+  const color = delta > 0 ? chalk.green : delta < 0 ? chalk.red : chalk.dim;
+  return `${current.toLocaleString()} ${color(`(${sign}${delta.toLocaleString()})`)}`;
+}
+
+function formatValue(field, value) {
+  if (value === null || value === '') return chalk.dim('(empty)');
+  if (field === 'pinnedTweetId') return value;
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ') : String(value);
+}
+
+function displayGrowth(history) {
+  const table = new Table({
+    head: ['Date', 'Followers', 'Following', 'Tweets'].map((h) => chalk.white(h)),
+  });
+
+  history.forEach(({ date, profile }, index) => {
+    const previous = history[index - 1]?.profile || {};
+    table.push([
+      date,
+      ...COUNT_FIELDS.map((field) => formatDelta(profile[field], previous[field])),
+    ]);
+  });
+
+  console.log(chalk.cyan('\n📈 Follower Growth:'));
+  console.log(table.toString());
+
+  const first = history[0];
+  const last = history[history.length - 1];
+  if (history.length > 1 && first.profile.followersCount != null && last.profile.followersCount != null) {
+    const days = Math.max(
+      1,
+      (new Date(last.date) - new Date(first.date)) / (24 * 60 * 60 * 1000)
+    );
+    const growth = last.profile.followersCount - first.profile.followersCount;
+    Logger.info(
+      `${growth >= 0 ? '+' : ''}${growth.toLocaleString()} followers between ${first.date} and ${last.date} (${(
+        growth / days
+      ).toFixed(1)}/day)`
+    );
+  }
+}
+
+function displayChanges(changes) {
+  console.log(chalk.cyan('\n📝 Profile Changes:'));
+
+  if (changes.length === 0) {
+    console.log(chalk.dim('No profile changes between snapshots.'));
+    return;
+  }
+
+  for (const { from, to, fields } of changes) {
+    console.log(chalk.bold(`\n${from} → ${to}`));
+    for (const change of fields) {
+      console.log(`  ${chalk.yellow(change.label)}:`);
+      console.log(chalk.red(`    - ${formatValue(change.field, change.from)}`));
+      console.log(chalk.green(`    + ${formatValue(change.field, change.to)}`));
+    }
+  }
+}
+
+async function main() {
+  // npm run profile-history -- <username> [--from 2024-01-01] [--to 2024-06-30] [--json]
+  program
+    .argument('<username>', 'Account whose profile snapshots to compare')
+    .option('--from <date>', 'First snapshot date to include (YYYY-MM-DD)')
+    .option('--to <date>', 'Last snapshot date to include (YYYY-MM-DD)')
+    .option('--json', 'Print the history and changes as JSON')
+    .parse(process.argv);
+
+  const username = program.args[0].replace(/^@/, '');
+  const options = program.opts();
+  const history = await loadHistory(username, options);
+
+  if (history.length === 0) {
+    Logger.error(`No saved profiles for @${username}. Run a collection first.`);
+    process.exit(1);
+  }
+
+  const changes = [];
+  for (let i = 1; i < history.length; i++) {
+    const fields = diffProfiles(history[i - 1].profile, history[i].profile);
+    if (fields.length > 0) {
+      changes.push({ from: history[i - 1].date, to: history[i].date, fields });
+    }
+  }
+
+  if (options.json) {
+    const counts = history.map(({ date, profile }) => ({
+      date,
+      ...Object.fromEntries(COUNT_FIELDS.map((field) => [field, profile[field] ?? null])),
+    }));
+    console.log(JSON.stringify({ username, snapshots: counts, changes }, null, 2));
+    return;
+  }
+
+  console.log(chalk.bold.blue(`\n👤 Profile history for @${username}`));
+  Logger.info(`${history.length} snapshots from ${history[0].date} to ${history[history.length - 1].date}`);
+  displayGrowth(history);
+  displayChanges(changes);
+}
+
+main().catch((error) => {
+  Logger.error(`Failed to build profile history: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,85 @@
+// proxy.js
+import dotenv from 'dotenv';
+dotenv.config();
+
+import chalk from 'chalk';
+import Table from 'cli-table3';
+import { program } from 'commander';
+import AccountPool from './AccountPool.js';
+import Logger from './Logger.js';
+import ProxyPool from './ProxyPool.js';
+
+/**
+ * Checks every configured proxy (and any proxy pinned in the account pool)
+ * and records the results so unreachable proxies are rotated out.
+ */
+async function checkProxies(options) {
+  const proxyPool = new ProxyPool();
+  const accounts = await new AccountPool().load();
+  const proxies = [
+    ...new Set([
+      ...(await proxyPool.load()),
+      ...accounts.filter((account) => account.proxy).map((account) => account.proxy),
+    ]),
+  ];
+
+  if (proxies.length === 0) {
+    Logger.warn(`⚠️  No proxies configured (TWITTER_PROXY or ${proxyPool.proxiesPath})`);
+    return;
+  }
+
+  const { assignments } = await proxyPool.loadState();
+  const table = new Table({
+    head: ['Proxy', 'Reachable', 'HTTP', 'Latency', 'Exit IP', 'Accounts'].map((h) => chalk.white(h)),
+  });
+  const results = [];
+
+  Logger.info(`🌐 Checking ${proxies.length} proxies against ${options.target}`);
+  for (const proxy of proxies) {
+    const result = await ProxyPool.check(proxy, {
+      target: options.target,
+      timeout: parseInt(options.timeout) * 1000,
+    });
+    results.push({ proxy, result });
+
+    const pinned = [
+      ...accounts.filter((account) => account.proxy === proxy).map((account) => account.username),
+      ...Object.entries(assignments)
+        .filter(([, assignment]) => assignment.id === ProxyPool.idOf(proxy))
+        .map(([username]) => username),
+    ];
+
+    table.push([
+      ProxyPool.redact(proxy),
+      result.ok ? chalk.green('✓') : chalk.red(`✗ ${result.error || ''}`.trim()),
+      result.status ?? chalk.dim('-'),
+      result.latency ? `${result.latency}ms` : chalk.dim('-'),
+      result.ip || chalk.dim('-'),
+      [...new Set(pinned)].map((username) => `@${username}`).join(', ') || chalk.dim('-'),
+    ]);
+  }
+
+  await proxyPool.recordChecks(results);
+  console.log(table.toString());
+
+  const failed = results.filter(({ result }) => !result.ok).length;
+  if (failed > 0) {
+    Logger.warn(`⚠️  ${failed} of ${proxies.length} proxies failed - accounts pinned to them move to a working proxy`);
+    process.exitCode = 1;
+  } else {
+    Logger.success(`✅ All ${proxies.length} proxies reachable`);
+  }
+}
+
+// npm run proxy -- check [--target https://x.com/robots.txt] [--timeout 15]
+program
+  .command('check')
+  .description('Verify that every proxy can reach Twitter before a run')
+  .option('--target <url>', 'URL every proxy must reach', 'https://x.com/robots.txt')
+  .option('--timeout <seconds>', 'Seconds before a proxy counts as unreachable', '15')
+  .action(checkProxies);
+
+program.parseAsync(process.argv).catch((error) => {
+  Logger.error(`Proxy check failed: ${error.message}`);
+  process.exit(1);
+});
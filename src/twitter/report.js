@@ -0,0 +1,238 @@
+// report.js
+import chalk from 'chalk';
+import Table from 'cli-table3';
+import { program } from 'commander';
+import DataOrganizer from './DataOrganizer.js';
+import EngagementHistory from './EngagementHistory.js';
+import ErrorJournal from './ErrorJournal.js';
+import Logger from './Logger.js';
+
+// Latest failures listed under the summary
+const RECENT_ERRORS = 5;
+
+// Spikes listed by the engagement report unless --top says otherwise
+const TOP_SPIKES = 10;
+
+/**
+ * Loads the error journal of every snapshot of an account.
+ * @param {string} username - Account (or query folder) to read.
+ * @param {string} [since] - Skip errors before this date (yyyy-MM-dd).
+ * @returns {Promise<object[]>} Entries tagged with their snapshot, oldest first.
+ */
+async function loadErrors(username, since) {
+  const organizer = new DataOrganizer('pipeline', username, undefined, {
+    createDirectories: false,
+  });
+  const entries = [];
+
+  for (const date of await organizer.listSnapshots()) {
+    const snapshot = new DataOrganizer('pipeline', username, date, {
+      createDirectories: false,
+    });
+    for (const entry of await ErrorJournal.load(snapshot.getPaths().meta.errors)) {
+      if (since && entry.timestamp < since) continue;
+      entries.push({ ...entry, snapshot: date });
+    }
+  }
+
+  return entries.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * Loads the engagement readings of every snapshot of an account.
+ * @param {string} username - Account (or query folder) to read.
+ * @returns {Promise<object[]>} Readings from all snapshots.
+ */
+async function loadReadings(username) {
+  const organizer = new DataOrganizer('pipeline', username, undefined, {
+    createDirectories: false,
+  });
+  const readings = [];
+
+  for (const date of await organizer.listSnapshots()) {
+    const snapshot = new DataOrganizer('pipeline', username, date, {
+      createDirectories: false,
+    });
+    readings.push(...(await EngagementHistory.load(snapshot.getPaths().analytics.engagementHistory)));
+  }
+
+  return readings;
+}
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+function formatTime(timestamp) {
+  return timestamp ? timestamp.replace('T', ' ').slice(0, 16) : '-';
+}
+
+function displaySummary(summary) {
+  const table = new Table({
+    head: ['Type', 'Errors', 'Runs', 'Phases', 'Accounts', 'Last Seen'].map((h) => chalk.white(h)),
+  });
+
+  for (const group of summary) {
+    table.push([
+      chalk.yellow(group.type),
+      group.count,
+      group.runs,
+      group.phases.join(', ') || chalk.dim('-'),
+      group.accounts.map((account) => `@${account}`).join(', ') || chalk.dim('-'),
+      formatTime(group.lastSeen),
+    ]);
+  }
+
+  console.log(chalk.cyan('\n📋 Failures by type:'));
+  console.log(table.toString());
+}
+
+function displayCauses(summary) {
+  console.log(chalk.cyan('\n🔎 Likely causes:'));
+  for (const group of summary) {
+    const recurring = group.runs > 1 ? chalk.red(` recurring in ${group.runs} runs`) : '';
+    console.log(`${chalk.bold(group.type)} (${plural(group.count, 'error')})${recurring}`);
+    console.log(`  ${group.cause}`);
+    if (group.lastMessage) console.log(chalk.dim(`  Last: ${group.lastMessage}`));
+  }
+}
+
+function displayRecent(entries) {
+  console.log(chalk.cyan(`\n🕑 Most recent errors:`));
+  for (const entry of entries.slice(-RECENT_ERRORS).reverse()) {
+    const phase = entry.context?.phase || '-';
+    const action = entry.context?.action ? ` ${entry.context.action}` : '';
+    console.log(
+      `${chalk.dim(formatTime(entry.timestamp))} ${chalk.yellow(phase)}${action}: ${entry.error?.message}`
+    );
+  }
+}
+
+function formatHours(hours) {
+  if (hours === null || hours === undefined) return '-';
+  if (hours < 1) return `${Math.round(hours * 60)}m`;
+  if (hours < 48) return `${Number(hours.toFixed(1))}h`;
+  return `${Number((hours / 24).toFixed(1))}d`;
+}
+
+const formatRate = (perHour) => (perHour === null ? '-' : `${Number(perHour.toFixed(2))}/h`);
+
+function displayAccumulation(analysis) {
+  const table = new Table({
+    head: ['Age', 'Tweets', 'Share of Latest Engagement'].map((h) => chalk.white(h)),
+  });
+
+  for (const mark of analysis.accumulation) {
+    table.push([
+      formatHours(mark.hours),
+      mark.tweets,
+      mark.share === null ? chalk.dim('-') : `${Math.round(mark.share * 100)}%`,
+    ]);
+  }
+
+  console.log(chalk.cyan('\n📈 Engagement gathered by age (median):'));
+  console.log(table.toString());
+}
+
+function displaySpikes(spikes, top) {
+  if (spikes.length === 0) {
+    Logger.success('No unusual engagement spikes');
+    return;
+  }
+
+  const table = new Table({
+    head: ['Tweet', 'Posted', 'Between', 'Age', 'Gained', 'Rate', 'Typical'].map((h) => chalk.white(h)),
+  });
+
+  for (const spike of spikes.slice(0, top)) {
+    table.push([
+      spike.id,
+      formatTime(spike.createdAt).split(' ')[0],
+      `${formatTime(spike.from)} → ${formatTime(spike.to)}`,
+      formatHours(spike.age),
+      chalk.yellow(`+${spike.gained.toLocaleString()}`),
+      formatRate(spike.perHour),
+      formatRate(spike.typicalPerHour),
+    ]);
+  }
+
+  console.log(chalk.cyan(`\n⚡ Unusual spikes (${spikes.length}):`));
+  console.log(table.toString());
+}
+
+async function engagementCommand(username, options) {
+  username = username.replace(/^@/, '');
+  const analysis = EngagementHistory.analyze(await loadReadings(username));
+
+  if (options.json) {
+    console.log(JSON.stringify({ username, ...analysis }, null, 2));
+    return;
+  }
+
+  if (analysis.tracked === 0) {
+    Logger.warn(
+      `No tweets of @${username} were read more than once yet. Collect the account again later to track engagement.`
+    );
+    return;
+  }
+
+  console.log(chalk.bold.blue(`\n📊 Engagement report for @${username}`));
+  Logger.info(
+    `${plural(analysis.readings, 'reading')} of ${plural(analysis.tweets, 'tweet')}, ${analysis.tracked.toLocaleString()} read more than once`
+  );
+  Logger.info(
+    `Typical engagement half-life: ${formatHours(analysis.halfLifeHours)} (from ${plural(analysis.halfLifeTweets, 'tweet')})`
+  );
+  displayAccumulation(analysis);
+  displaySpikes(analysis.spikes, Number(options.top) || TOP_SPIKES);
+}
+
+async function errorsCommand(username, options) {
+  username = username.replace(/^@/, '');
+  const entries = await loadErrors(username, options.since);
+  const summary = ErrorJournal.summarize(entries);
+
+  if (options.json) {
+    console.log(JSON.stringify({ username, errors: entries.length, summary }, null, 2));
+    return;
+  }
+
+  if (entries.length === 0) {
+    Logger.success(`No errors recorded for @${username}${options.since ? ` since ${options.since}` : ''}`);
+    return;
+  }
+
+  const runs = new Set(entries.map((entry) => entry.context?.runId || entry.snapshot)).size;
+  console.log(chalk.bold.blue(`\n🩺 Error report for @${username}`));
+  Logger.info(
+    `${plural(entries.length, 'error')} in ${plural(runs, 'run')} between ${formatTime(entries[0].timestamp)} and ${formatTime(
+      entries[entries.length - 1].timestamp
+    )}`
+  );
+  displaySummary(summary);
+  displayCauses(summary);
+  displayRecent(entries);
+}
+
+// npm run report -- errors <username> [--since 2024-01-01] [--json]
+// npm run report -- engagement <username> [--top 10] [--json]
+program.description('Reports on collected accounts');
+
+program
+  .command('errors')
+  .argument('<username>', 'Account whose error logs to summarize')
+  .option('--since <date>', 'Only include errors from this date (YYYY-MM-DD)')
+  .option('--json', 'Print the summary as JSON')
+  .description('Summarize recurring failures across runs and suggest their likely causes')
+  .action(errorsCommand);
+
+program
+  .command('engagement')
+  .argument('<username>', 'Account whose engagement history to analyze')
+  .option('--top <count>', 'Number of spikes to list', String(TOP_SPIKES))
+  .option('--json', 'Print the analysis as JSON')
+  .description('Show how fast tweets gather engagement, their half-life and unusual spikes')
+  .action(engagementCommand);
+
+program.parseAsync(process.argv).catch((error) => {
+  Logger.error(`Report failed: ${error.message}`);
+  process.exit(1);
+});
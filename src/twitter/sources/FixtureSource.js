@@ -0,0 +1,159 @@
+// FixtureSource.js
+import fs from 'fs/promises';
+import path from 'path';
+import Logger from '../Logger.js';
+import TweetSource from './TweetSource.js';
+
+/**
+ * Offline source that replays recorded raw tweets from a directory.
+ * Every *.json file holding an array (or *.jsonl file) is read as raw
+ * tweets; an optional profile.json is returned by getProfile, and
+ * following.json / followers.json arrays of profiles by getFollowing and
+ * getFollowers.
+ */
+class FixtureSource extends TweetSource {
+  constructor(pipeline, directory) {
+    super(pipeline);
+    this.name = 'fixture';
+    this.directory = directory;
+    this.tweets = [];
+    this.profile = null;
+    this.following = [];
+    this.followers = [];
+  }
+
+  async initialize() {
+    if (!this.directory) {
+      throw new Error('The fixture source needs a directory (--fixtures <dir>)');
+    }
+
+    const files = await fs.readdir(this.directory);
+    const tweets = new Map();
+
+    for (const file of files.sort()) {
+      const filePath = path.join(this.directory, file);
+      if (file === 'profile.json') {
+        this.profile = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+        continue;
+      }
+      if (file === 'following.json' || file === 'followers.json') {
+        this[path.basename(file, '.json')] = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+        continue;
+      }
+
+      let records = [];
+      if (file.endsWith('.jsonl')) {
+        records = (await fs.readFile(filePath, 'utf-8'))
+          .split('\n')
+          .filter((line) => line.trim())
+          .map((line) => JSON.parse(line));
+      } else if (file.endsWith('.json')) {
+        const data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+        if (Array.isArray(data)) records = data;
+      }
+
+      records
+        .filter((tweet) => tweet?.id)
+        .forEach((tweet) => tweets.set(tweet.id, this.reviveTweet(tweet)));
+    }
+
+    this.tweets = Array.from(tweets.values()).sort(
+      (a, b) => this.timeOf(b) - this.timeOf(a)
+    );
+    Logger.info(`📂 Loaded ${this.tweets.length.toLocaleString()} fixture tweets from ${this.directory}`);
+    return true;
+  }
+
+  // JSON turns timeParsed into a string; processTweetData expects a Date
+  reviveTweet(tweet) {
+    if (tweet.timeParsed && !(tweet.timeParsed instanceof Date)) {
+      return { ...tweet, timeParsed: new Date(tweet.timeParsed) };
+    }
+    return tweet;
+  }
+
+  timeOf(tweet) {
+    if (tweet.timestamp) {
+      return tweet.timestamp < 1e12 ? tweet.timestamp * 1000 : tweet.timestamp;
+    }
+    return tweet.timeParsed?.getTime() || 0;
+  }
+
+  async getProfile(username) {
+    return this.profile || { username, tweetsCount: this.tweets.length };
+  }
+
+  async getTweet(id) {
+    return this.tweets.find((tweet) => tweet.id === id) || null;
+  }
+
+  async *getFollowing(userId, max) {
+    yield* this.following.slice(0, max);
+  }
+
+  async *getFollowers(userId, max) {
+    yield* this.followers.slice(0, max);
+  }
+
+  /**
+   * Applies from: operators and plain terms (words, @mentions, #hashtags,
+   * $cashtags, "phrases") of the query. Terms must all match unless the query
+   * uses OR, in which case any one is enough; negated terms (-from:user,
+   * -word) always exclude. since:/until: dates always apply. Other operators
+   * are ignored.
+   */
+  matchesQuery(tweet, query) {
+    const tests = [];
+    const exclusions = [];
+    const tokens = query.match(/-?"[^"]*"|\S+/g) || [];
+
+    // until: is exclusive, like on Twitter
+    for (const [, operator, day] of query.matchAll(/\b(since|until):(\d{4}-\d{2}-\d{2})\b/g)) {
+      const bound = Date.parse(`${day}T00:00:00Z`);
+      if (operator === 'since' ? this.timeOf(tweet) < bound : this.timeOf(tweet) >= bound) {
+        return false;
+      }
+    }
+
+    for (const raw of tokens) {
+      let token = raw.replace(/^\(+|\)+$/g, '');
+      if (!token || token === 'OR') continue;
+
+      const negated = token.startsWith('-');
+      if (negated) token = token.slice(1);
+
+      let test = null;
+      const from = token.match(/^from:(\w+)$/i)?.[1];
+      if (from) {
+        // Tweets without a username only pass positive from: filters
+        test = () =>
+          tweet.username ? tweet.username.toLowerCase() === from.toLowerCase() : !negated;
+      } else if (!token.includes(':')) {
+        const term = token.replace(/^"|"$/g, '').toLowerCase();
+        test = () => (tweet.text || '').toLowerCase().includes(term);
+      }
+
+      if (test) (negated ? exclusions : tests).push(test);
+    }
+
+    if (exclusions.some((test) => test())) return false;
+    if (tests.length === 0) return true;
+    return /\sOR\s/.test(query) ? tests.some((test) => test()) : tests.every((test) => test());
+  }
+
+  async *search(query, { cursor = null, batchSize = 50 } = {}) {
+    const matches = this.tweets.filter((tweet) => this.matchesQuery(tweet, query));
+    let offset = parseInt(cursor) || 0;
+
+    while (offset < matches.length) {
+      const next = offset + batchSize;
+      yield {
+        tweets: matches.slice(offset, next),
+        next: next < matches.length ? String(next) : undefined,
+      };
+      offset = next;
+    }
+  }
+}
+
+export default FixtureSource;
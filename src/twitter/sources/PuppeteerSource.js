@@ -0,0 +1,31 @@
+// PuppeteerSource.js
+import TweetSource from './TweetSource.js';
+
+/**
+ * Browser source that scrolls the search page in a Puppeteer cluster.
+ * The page has no cursor, so a search yields a single batch. The browser
+ * logs in on the first search and stays logged in until close().
+ */
+class PuppeteerSource extends TweetSource {
+  constructor(pipeline) {
+    super(pipeline);
+    this.name = 'puppeteer';
+  }
+
+  async initialize() {
+    await this.pipeline.validateEnvironment();
+    await this.pipeline.initializeFallback();
+    return true;
+  }
+
+  async *search(query, { searchMode = 'Latest' } = {}) {
+    const tweets = await this.pipeline.collectWithFallback(query, searchMode);
+    yield { tweets, next: undefined };
+  }
+
+  async close() {
+    await this.pipeline.closeFallback();
+  }
+}
+
+export default PuppeteerSource;
@@ -0,0 +1,72 @@
+// ScraperSource.js
+import { SearchMode } from 'agent-twitter-client';
+import Logger from '../Logger.js';
+import TweetSource from './TweetSource.js';
+
+/**
+ * Live source backed by agent-twitter-client's Scraper.
+ */
+class ScraperSource extends TweetSource {
+  constructor(pipeline) {
+    super(pipeline);
+    this.name = 'scraper';
+    // Set once initialize() logs in, so close() leaves unused sessions alone
+    this.loggedIn = false;
+  }
+
+  get scraper() {
+    return this.pipeline.scraper;
+  }
+
+  async initialize() {
+    // Batch runs authenticate the shared session once, up front
+    if (this.pipeline.sharedSession) return true;
+
+    await this.pipeline.validateEnvironment();
+    this.loggedIn = await this.pipeline.initializeScraper();
+    return this.loggedIn;
+  }
+
+  async getProfile(username) {
+    return this.scraper.getProfile(username);
+  }
+
+  async getTweet(id) {
+    await this.pipeline.randomDelay();
+    return this.scraper.getTweet(id);
+  }
+
+  async *getFollowing(userId, max) {
+    yield* this.scraper.getFollowing(userId, max);
+  }
+
+  async *getFollowers(userId, max) {
+    yield* this.scraper.getFollowers(userId, max);
+  }
+
+  async *search(query, { cursor = null, batchSize = 50, searchMode = 'Latest' } = {}) {
+    while (true) {
+      const page = await this.scraper.fetchSearchTweets(
+        query,
+        batchSize,
+        SearchMode[searchMode],
+        cursor || undefined
+      );
+      yield page;
+
+      if (!page.next || page.next === cursor) return;
+      cursor = page.next;
+      await this.pipeline.randomDelay();
+    }
+  }
+
+  async close() {
+    if (this.pipeline.sharedSession || !this.loggedIn) return;
+
+    this.loggedIn = false;
+    await this.scraper.logout();
+    Logger.success('🔒 Logged out of primary system');
+  }
+}
+
+export default ScraperSource;
@@ -0,0 +1,74 @@
+// TweetSource.js
+
+/**
+ * Base class for the places TwitterPipeline can read raw tweets from.
+ * Adapters yield tweets in the agent-twitter-client shape so they all go
+ * through processTweetData → DataOrganizer.saveTweets the same way.
+ */
+class TweetSource {
+  constructor(pipeline) {
+    this.pipeline = pipeline;
+    this.name = 'base';
+  }
+
+  /**
+   * Prepares the source (authentication, browser launch, file loading).
+   * @returns {Promise<boolean>} Whether the source is ready to be searched.
+   */
+  async initialize() {
+    return true;
+  }
+
+  /**
+   * @param {string} username - Account to look up.
+   * @returns {Promise<object|null>} Profile, or null if the source has none.
+   */
+  async getProfile(username) {
+    return null;
+  }
+
+  /**
+   * @param {string} id - Tweet id.
+   * @returns {Promise<object|null>} Raw tweet, or null if unavailable.
+   */
+  async getTweet(id) {
+    return null;
+  }
+
+  /**
+   * Yields the profiles an account follows.
+   * @param {string} userId - Account id.
+   * @param {number} max - Most profiles to yield.
+   * @returns {AsyncGenerator<object>}
+   */
+  async *getFollowing(userId, max) {
+    throw new Error(`${this.name} source does not support following lists`);
+  }
+
+  /**
+   * Yields profiles that follow an account.
+   * @param {string} userId - Account id.
+   * @param {number} max - Most profiles to yield.
+   * @returns {AsyncGenerator<object>}
+   */
+  async *getFollowers(userId, max) {
+    throw new Error(`${this.name} source does not support follower lists`);
+  }
+
+  /**
+   * Yields pages of raw tweets for a search query, newest first.
+   * @param {string} query - Twitter search query.
+   * @param {object} options
+   * @param {string|null} options.cursor - Cursor to continue from.
+   * @param {number} options.batchSize - Tweets per page.
+   * @param {string} [options.searchMode] - Latest or Top.
+   * @returns {AsyncGenerator<{tweets: object[], next: string|undefined}>}
+   */
+  async *search(query, { cursor, batchSize }) {
+    throw new Error(`${this.name} source does not support search`);
+  }
+
+  async close() {}
+}
+
+export default TweetSource;
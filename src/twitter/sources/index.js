@@ -0,0 +1,28 @@
+// sources/index.js
+import ScraperSource from './ScraperSource.js';
+import PuppeteerSource from './PuppeteerSource.js';
+import FixtureSource from './FixtureSource.js';
+
+export const SOURCE_TYPES = ['scraper', 'puppeteer', 'fixture'];
+
+/**
+ * Creates the tweet source adapter selected with --source.
+ * @param {string} type - One of SOURCE_TYPES.
+ * @param {TwitterPipeline} pipeline - Pipeline the source reads for.
+ * @param {object} options - Pipeline options (fixtures directory, ...).
+ * @returns {TweetSource}
+ */
+export function createTweetSource(type, pipeline, options = {}) {
+  switch (type) {
+    case 'scraper':
+      return new ScraperSource(pipeline);
+    case 'puppeteer':
+      return new PuppeteerSource(pipeline);
+    case 'fixture':
+      return new FixtureSource(pipeline, options.fixtures);
+    default:
+      throw new Error(
+        `Unknown tweet source "${type}". Use one of: ${SOURCE_TYPES.join(', ')}`
+      );
+  }
+}
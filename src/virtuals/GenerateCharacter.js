@@ -61,7 +61,11 @@ const formatJSON = (json) => {
 };
 
 async function main() {
-    const profile = await pipeline.getProfile();
+    // Prefer the profile saved with the snapshot over a live lookup
+    const profilePath = path.join(__dirname, `../../pipeline/${username}/${date}/raw/profile.json`);
+    const profile = fs.existsSync(profilePath)
+        ? JSON.parse(fs.readFileSync(profilePath, 'utf8'))
+        : await pipeline.getProfile();
 
     console.log('\n' + chalk.bold.cyan('📥 INPUT DATA SUMMARY'));
     console.log(chalk.dim('═'.repeat(50)));
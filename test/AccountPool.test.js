@@ -0,0 +1,41 @@
+// AccountPool.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import AccountPool from '../src/twitter/AccountPool.js';
+import SecretStore from '../src/twitter/SecretStore.js';
+
+test('keeps every health update made by concurrent workers', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'account-pool-'));
+  const pool = new AccountPool(path.join(dir, 'accounts.json'), path.join(dir, 'account_health.json'));
+
+  await Promise.all(
+    Array.from({ length: 20 }, (_, index) =>
+      pool.updateHealth(index % 2 ? 'alice' : 'bob', (record) => {
+        record.totalRequests += 1;
+      })
+    )
+  );
+
+  const health = await pool.loadHealth();
+  assert.equal(health.alice.totalRequests, 10);
+  assert.equal(health.bob.totalRequests, 10);
+  const leftovers = (await fs.readdir(dir)).filter((file) => /\.(tmp|lock)$/.test(file));
+  assert.deepEqual(leftovers, []);
+});
+
+test('writes the same secret file from concurrent callers', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'secret-store-'));
+  const filePath = path.join(dir, 'cookies.json');
+  const store = new SecretStore(null);
+
+  await Promise.all(
+    Array.from({ length: 10 }, (_, index) => store.writeJson(filePath, [{ key: 'ct0', value: `${index}` }]))
+  );
+
+  const cookies = await store.readJson(filePath);
+  assert.equal(cookies.length, 1);
+  assert.deepEqual(await fs.readdir(dir), ['cookies.json']);
+});
@@ -0,0 +1,30 @@
+// DataOrganizer.test.js
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import DataOrganizer from '../src/twitter/DataOrganizer.js';
+import EngagementHistory from '../src/twitter/EngagementHistory.js';
+
+test('a resumed run records checkpointed engagement at the time it was read', async () => {
+  const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'organizer-'));
+  const organizer = new DataOrganizer(baseDir, 'someone', '2024-01-02');
+  await organizer.ready;
+
+  mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-01-02T10:00:00Z') });
+
+  const tweet = { id: '1', createdAt: '2024-01-02T09:00:00.000Z', likes: 3 };
+  await organizer.saveCheckpoint([tweet], 'cursor-1');
+
+  // The run is resumed a day later
+  mock.timers.setTime(Date.parse('2024-01-03T10:00:00Z'));
+  const { tweets, cursor, readTimes } = await organizer.loadCheckpoint();
+  await organizer.saveEngagementReadings(tweets, readTimes);
+  mock.timers.reset();
+
+  assert.deepEqual(tweets, [tweet]);
+  assert.equal(cursor, 'cursor-1');
+  const [reading] = await EngagementHistory.load(organizer.getPaths().analytics.engagementHistory);
+  assert.equal(reading.timestamp, '2024-01-02T10:00:00.000Z');
+});
@@ -0,0 +1,102 @@
+// EngagementHistory.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import EngagementHistory from '../src/twitter/EngagementHistory.js';
+
+const POSTED = Date.parse('2024-01-01T00:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+// A reading of a tweet taken some hours after it was posted
+const readingAt = (id, hours, likes) => ({
+  id,
+  createdAt: new Date(POSTED).toISOString(),
+  timestamp: new Date(POSTED + hours * HOUR_MS).toISOString(),
+  likes,
+  retweetCount: 0,
+  replies: 0,
+});
+
+test('interpolates engagement between readings and from zero at posting', () => {
+  const [{ points }] = EngagementHistory.series([
+    readingAt('1', 10, 30),
+    readingAt('1', 2, 10),
+    readingAt('1', 30, 40),
+  ]);
+
+  assert.deepEqual(points.map((point) => point.age), [2, 10, 30]);
+  assert.equal(EngagementHistory.engagementAt(points, 1), 5);
+  assert.equal(EngagementHistory.engagementAt(points, 6), 20);
+  assert.equal(EngagementHistory.engagementAt(points, 40), null);
+});
+
+test('finds the age a tweet reached half of its latest engagement', () => {
+  const [{ points }] = EngagementHistory.series([
+    readingAt('1', 2, 10),
+    readingAt('1', 10, 30),
+    readingAt('1', 30, 40),
+  ]);
+  assert.equal(EngagementHistory.halfLife(points), 6);
+
+  // First read past its half-life, or read once: it can't be told
+  const [late] = EngagementHistory.series([readingAt('2', 2, 30), readingAt('2', 10, 40)]);
+  assert.equal(EngagementHistory.halfLife(late.points), null);
+  const [once] = EngagementHistory.series([readingAt('3', 2, 30)]);
+  assert.equal(EngagementHistory.halfLife(once.points), null);
+});
+
+test('reports the share of engagement gathered by each age', () => {
+  const { accumulation, tracked } = EngagementHistory.analyze([
+    readingAt('1', 0.5, 5),
+    readingAt('1', 6, 50),
+    readingAt('1', 48, 100),
+  ]);
+
+  assert.equal(tracked, 1);
+  assert.deepEqual(accumulation.find((mark) => mark.hours === 6), { hours: 6, tweets: 1, share: 0.5 });
+  assert.deepEqual(accumulation.find((mark) => mark.hours === 72), { hours: 72, tweets: 0, share: null });
+});
+
+test('flags gains far above the typical rate for the age as spikes', () => {
+  const { spikes } = EngagementHistory.analyze([
+    readingAt('1', 2, 10),
+    readingAt('1', 4, 14),
+    readingAt('2', 2, 20),
+    readingAt('2', 4, 24),
+    readingAt('3', 2, 10),
+    readingAt('3', 4, 110),
+  ]);
+
+  assert.equal(spikes.length, 1);
+  assert.equal(spikes[0].id, '3');
+  assert.equal(spikes[0].gained, 100);
+  assert.equal(spikes[0].typicalPerHour, 2);
+  assert.equal(spikes[0].factor, 25);
+});
+
+test('records tweets read at another time at that time', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'engagement-'));
+  const historyPath = path.join(dir, 'engagement_history.jsonl');
+  const tweet = (id) => ({ id, createdAt: new Date(POSTED).toISOString(), likes: 1 });
+  const now = '2024-01-03T00:00:00.000Z';
+  const earlier = '2024-01-02T00:00:00.000Z';
+
+  const added = await EngagementHistory.append(
+    historyPath,
+    [tweet('1'), tweet('2')],
+    now,
+    new Map([['2', earlier]])
+  );
+
+  assert.equal(added, 2);
+  const readings = await EngagementHistory.load(historyPath);
+  assert.deepEqual(
+    readings.map((reading) => [reading.id, reading.timestamp]),
+    [
+      ['1', now],
+      ['2', earlier],
+    ]
+  );
+});
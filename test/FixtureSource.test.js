@@ -0,0 +1,81 @@
+// FixtureSource.test.js
+import { test, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import FixtureSource from '../src/twitter/sources/FixtureSource.js';
+
+before(() => {
+  mock.method(console, 'log', () => {});
+});
+
+const source = new FixtureSource(null, null);
+const tweet = (username, text, day = '15') => ({
+  id: `${username}-${text}`,
+  username,
+  text,
+  timestamp: Date.parse(`2024-01-${day}T12:00:00Z`) / 1000,
+});
+
+test('matches from: operators and requires every plain term', () => {
+  const match = (query) => source.matchesQuery(tweet('Alice', 'GM #crypto friends'), query);
+
+  assert.equal(match('from:alice'), true);
+  assert.equal(match('from:bob'), false);
+  assert.equal(match('from:alice gm #crypto'), true);
+  assert.equal(match('from:alice gm $btc'), false);
+  assert.equal(match('"crypto friends"'), true);
+  assert.equal(match('"friends gm"'), false);
+});
+
+test('any term is enough with OR, and negated terms always exclude', () => {
+  const match = (query) => source.matchesQuery(tweet('alice', 'gm frens'), query);
+
+  assert.equal(match('(gm OR gn)'), true);
+  assert.equal(match('(gn OR wagmi)'), false);
+  assert.equal(match('(gm OR gn) -frens'), false);
+  assert.equal(match('gm -from:alice'), false);
+  assert.equal(match('gm -from:bob'), true);
+});
+
+test('applies since: inclusively and until: exclusively', () => {
+  const match = (query) => source.matchesQuery(tweet('alice', 'gm', '15'), query);
+
+  assert.equal(match('gm since:2024-01-15 until:2024-01-16'), true);
+  assert.equal(match('gm since:2024-01-16'), false);
+  assert.equal(match('gm until:2024-01-15'), false);
+  // Other operators are ignored
+  assert.equal(match('gm filter:replies lang:en'), true);
+});
+
+test('pages through the matching tweets of the fixture files, newest first', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fixture-source-'));
+  await fs.writeFile(
+    path.join(dir, 'tweets.json'),
+    JSON.stringify([tweet('alice', 'one', '01'), tweet('bob', 'two', '02')])
+  );
+  await fs.writeFile(
+    path.join(dir, 'more.jsonl'),
+    [tweet('alice', 'three', '03'), tweet('alice', 'four', '04')]
+      .map((t) => JSON.stringify(t))
+      .join('\n')
+  );
+  const fixtures = new FixtureSource(null, dir);
+  await fixtures.initialize();
+
+  const pages = [];
+  for await (const page of fixtures.search('from:alice', { batchSize: 2 })) {
+    pages.push(page);
+  }
+
+  assert.deepEqual(
+    pages.map((page) => page.tweets.map((t) => t.text)),
+    [['four', 'three'], ['one']]
+  );
+  assert.equal(pages[0].next, '2');
+  assert.equal(pages[1].next, undefined);
+
+  const resumed = fixtures.search('from:alice', { cursor: '2', batchSize: 2 });
+  assert.deepEqual((await resumed.next()).value.tweets.map((t) => t.text), ['one']);
+});
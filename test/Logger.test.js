@@ -0,0 +1,29 @@
+// Logger.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Logger from '../src/twitter/Logger.js';
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test('keeps the collection progress of parallel runs apart', async () => {
+  const collect = (account, scanned, rateLimits) =>
+    Logger.withContext({ account }, async () => {
+      Logger.reset();
+      for (let i = 0; i < rateLimits; i++) {
+        Logger.recordRateLimit();
+        await tick();
+      }
+      Logger.progress.lastUpdate = Date.now();
+      Logger.updateCollectionProgress({ totalCollected: scanned, expectedTotal: 1000 });
+      await tick();
+      return { ...Logger.collectionStats };
+    });
+
+  const [alice, bob] = await Promise.all([collect('alice', 100, 3), collect('bob', 600, 1)]);
+
+  assert.equal(alice.scanned, 100);
+  assert.equal(alice.rateLimitHits, 3);
+  assert.equal(bob.scanned, 600);
+  assert.equal(bob.rateLimitHits, 1);
+  assert.equal(Logger.collectionStats.totalBatches, 0);
+});
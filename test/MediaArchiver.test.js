@@ -0,0 +1,36 @@
+// MediaArchiver.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import MediaArchiver from '../src/twitter/MediaArchiver.js';
+
+test('keeps the shared index entries of pipelines archiving at the same time', async (t) => {
+  const server = http.createServer((request, response) => {
+    response.writeHead(200, { 'content-type': 'image/gif' });
+    response.end(Buffer.from(`GIF89a${request.url}`));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'media-archiver-'));
+  const storeDir = path.join(dir, 'media');
+  const tweetWith = (id, file) => ({ id, photos: [{ url: `${base}/${file}` }] });
+
+  const counts = await Promise.all([
+    new MediaArchiver(path.join(dir, 'alice'), storeDir).archive([tweetWith('1', 'a.gif')]),
+    new MediaArchiver(path.join(dir, 'bob'), storeDir).archive([tweetWith('2', 'b.gif')]),
+  ]);
+
+  assert.deepEqual(
+    counts.map((count) => count.downloaded),
+    [1, 1]
+  );
+  const index = JSON.parse(await fs.readFile(path.join(storeDir, 'index.json'), 'utf-8'));
+  assert.deepEqual(Object.keys(index).sort(), [`${base}/a.gif`, `${base}/b.gif`]);
+  const leftovers = (await fs.readdir(storeDir)).filter((file) => /\.(tmp|lock)$/.test(file));
+  assert.deepEqual(leftovers, []);
+});
@@ -0,0 +1,31 @@
+// ProxyPool.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import ProxyPool from '../src/twitter/ProxyPool.js';
+
+test('keeps every pin made by concurrent workers and spreads them over the proxies', async () => {
+  delete process.env.TWITTER_PROXY;
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'proxy-pool-'));
+  const proxiesPath = path.join(dir, 'proxies.txt');
+  await fs.writeFile(proxiesPath, 'http://10.0.0.1:8080\nhttp://10.0.0.2:8080\n');
+  const statePath = path.join(dir, 'proxies.json');
+
+  // Every batch worker has its own pool over the same files
+  const usernames = Array.from({ length: 10 }, (_, index) => `account${index}`);
+  const assigned = await Promise.all(
+    usernames.map((username) => new ProxyPool(proxiesPath, statePath).assign({ username }))
+  );
+
+  const { assignments } = await new ProxyPool(proxiesPath, statePath).loadState();
+  assert.deepEqual(Object.keys(assignments).sort(), [...usernames].sort());
+  assert.equal(assigned.filter((proxy) => proxy === 'http://10.0.0.1:8080').length, 5);
+  assert.equal(assigned.filter((proxy) => proxy === 'http://10.0.0.2:8080').length, 5);
+
+  // A pinned account keeps its proxy
+  assert.equal(await new ProxyPool(proxiesPath, statePath).assign({ username: 'account3' }), assigned[3]);
+  const leftovers = (await fs.readdir(dir)).filter((file) => /\.(tmp|lock)$/.test(file));
+  assert.deepEqual(leftovers, []);
+});
@@ -0,0 +1,95 @@
+// SearchWindows.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SearchWindows from '../src/twitter/SearchWindows.js';
+
+test('moves on after a window below the cap and grows sparse windows', () => {
+  const windows = new SearchWindows({
+    since: '2024-01-01',
+    until: '2024-03-01',
+    days: 10,
+    maxDays: 15,
+    resultCap: 100,
+  });
+
+  const first = windows.next();
+  assert.deepEqual(first, { since: '2024-02-20', until: '2024-03-01' });
+  const record = windows.complete(first, { results: 10, oldest: Date.parse('2024-02-21') });
+  assert.equal(record.status, 'complete');
+
+  // Doubled, but no larger than maxDays
+  assert.deepEqual(windows.next(), { since: '2024-02-05', until: '2024-02-20' });
+
+  // Windows with a fair number of results keep their size
+  windows.complete(windows.next(), { results: 50, oldest: Date.parse('2024-02-06') });
+  assert.deepEqual(windows.next(), { since: '2024-01-21', until: '2024-02-05' });
+});
+
+test('searches the rest of a capped window again in smaller windows', () => {
+  const windows = new SearchWindows({
+    since: '2024-01-01',
+    until: '2024-02-01',
+    days: 20,
+    resultCap: 100,
+  });
+
+  const record = windows.complete(windows.next(), {
+    results: 100,
+    oldest: Date.parse('2024-01-25T08:00:00Z'),
+  });
+  assert.equal(record.status, 'split');
+  // The oldest day reached may be partial, so it stays in the next window
+  assert.equal(record.coveredFrom, '2024-01-26');
+  assert.deepEqual(windows.next(), { since: '2024-01-16', until: '2024-01-26' });
+});
+
+test('searches a capped window again whole when results were not newest first', () => {
+  const windows = new SearchWindows({
+    since: '2024-01-01',
+    until: '2024-01-09',
+    days: 8,
+    resultCap: 100,
+  });
+
+  const record = windows.complete(windows.next(), {
+    results: 120,
+    oldest: Date.parse('2024-01-05'),
+    chronological: false,
+  });
+  assert.equal(record.coveredFrom, '2024-01-09');
+  assert.deepEqual(windows.next(), { since: '2024-01-05', until: '2024-01-09' });
+});
+
+test('marks a capped one-day window and finishes the range', () => {
+  const windows = new SearchWindows({
+    since: '2024-01-01',
+    until: '2024-01-02',
+    days: 1,
+    resultCap: 100,
+  });
+
+  const record = windows.complete(windows.next(), {
+    results: 100,
+    oldest: Date.parse('2024-01-01T12:00:00Z'),
+  });
+  assert.equal(record.status, 'capped');
+  assert.equal(windows.next(), null);
+  assert.deepEqual(
+    windows.toJSON().windows.map((window) => window.status),
+    ['capped']
+  );
+});
+
+test('restores saved windows only for the same range', () => {
+  const options = { since: '2024-01-01', until: '2024-02-01', days: 10, resultCap: 100 };
+  const windows = new SearchWindows(options);
+  windows.complete(windows.next(), { results: 100, oldest: Date.parse('2024-01-28') });
+  const state = JSON.parse(JSON.stringify(windows));
+
+  const restored = SearchWindows.restore(state, options);
+  assert.deepEqual(restored.next(), windows.next());
+  assert.equal(restored.windows.length, 1);
+
+  const other = SearchWindows.restore(state, { ...options, until: '2024-03-01' });
+  assert.deepEqual(other.next(), { since: '2024-02-20', until: '2024-03-01' });
+});
@@ -0,0 +1,93 @@
+// ThreadBuilder.test.js
+import { test, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import ThreadBuilder from '../src/twitter/ThreadBuilder.js';
+
+before(() => {
+  mock.method(console, 'log', () => {});
+});
+
+const tweet = (id, username, minute, inReplyToStatusId = undefined) => ({
+  id,
+  username,
+  text: `${username} ${id}`,
+  timestamp: Date.parse(`2024-01-01T12:${String(minute).padStart(2, '0')}:00Z`),
+  inReplyToStatusId,
+});
+
+test('fetches missing parents up the chain and skips unavailable ones', async () => {
+  const remote = new Map([
+    ['2', tweet('2', 'other', 2, '1')],
+    ['1', tweet('1', 'other', 1)],
+  ]);
+  const fetchTweet = mock.fn(async (id) => remote.get(id) || null);
+  const builder = new ThreadBuilder('alice', fetchTweet);
+
+  const known = await builder.fetchMissingParents([
+    tweet('3', 'alice', 3, '2'),
+    tweet('5', 'alice', 5, 'gone'),
+    tweet('6', 'alice', 6, 'gone'),
+  ]);
+
+  assert.deepEqual([...known.keys()].sort(), ['1', '2', '3', '5', '6']);
+  // Unavailable parents are only asked for once
+  assert.deepEqual(
+    fetchTweet.mock.calls.map((call) => call.arguments[0]),
+    ['2', '1', 'gone']
+  );
+});
+
+test('stops fetching parents at maxDepth', async () => {
+  const fetchTweet = mock.fn(async (id) => tweet(id, 'other', 0, `${Number(id) - 1}`));
+  const builder = new ThreadBuilder('alice', fetchTweet, { maxDepth: 2 });
+
+  const known = await builder.fetchMissingParents([tweet('10', 'alice', 10, '9')]);
+
+  assert.deepEqual([...known.keys()], ['10', '9', '8']);
+});
+
+test('builds self-threads and conversations from reply chains', () => {
+  const tweets = [
+    tweet('1', 'alice', 1),
+    tweet('2', 'alice', 2, '1'),
+    tweet('3', 'Alice', 3, '2'),
+    tweet('10', 'alice', 10),
+    tweet('12', 'alice', 12, '11'),
+    tweet('20', 'alice', 20),
+  ];
+  const known = new Map(tweets.map((t) => [t.id, t]));
+  const parent = tweet('11', 'bob', 11, '10');
+  known.set(parent.id, parent);
+
+  const threads = new ThreadBuilder('alice', async () => null).build(tweets, known);
+
+  assert.equal(threads.length, 2);
+  const [self, conversation] = threads;
+  assert.equal(self.rootId, '1');
+  assert.equal(self.isSelfThread, true);
+  assert.equal(self.length, 3);
+  assert.equal(self.text, 'alice 1\n\nalice 2\n\nAlice 3');
+  assert.equal(self.tree.replies[0].replies[0].id, '3');
+
+  assert.equal(conversation.rootId, '10');
+  assert.equal(conversation.isSelfThread, false);
+  assert.deepEqual(conversation.participants, ['alice', 'bob']);
+  assert.equal(conversation.text, undefined);
+
+  assert.deepEqual(ThreadBuilder.summarize(threads), {
+    totalThreads: 2,
+    selfThreads: 1,
+    conversations: 1,
+    averageLength: '3.00',
+    longestThread: 3,
+  });
+});
+
+test('treats any single-author thread as a self-thread without a target account', () => {
+  const tweets = [tweet('1', 'bob', 1), tweet('2', 'bob', 2, '1')];
+  const known = new Map(tweets.map((t) => [t.id, t]));
+
+  const [thread] = new ThreadBuilder(null, async () => null).build(tweets, known);
+
+  assert.equal(thread.isSelfThread, true);
+});
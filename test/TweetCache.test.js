@@ -0,0 +1,45 @@
+// TweetCache.test.js
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import TweetCache from '../src/twitter/TweetCache.js';
+
+const cachePathIn = async () =>
+  path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'tweet-cache-')), 'tweets.json');
+
+test('keeps the tweets cached by pipelines saving at the same time', async () => {
+  const cachePath = await cachePathIn();
+  const caches = [new TweetCache(cachePath), new TweetCache(cachePath)];
+  await Promise.all(caches.map((cache) => cache.load()));
+
+  await caches[0].get('1', async (id) => ({ id, text: 'one' }));
+  await caches[1].get('2', async (id) => ({ id, text: 'two' }));
+  await Promise.all(caches.map((cache) => cache.save()));
+
+  const entries = JSON.parse(await fs.readFile(cachePath, 'utf-8'));
+  assert.deepEqual(Object.keys(entries).sort(), ['1', '2']);
+});
+
+test('tries a tweet that could not be fetched again after a day', async () => {
+  const cachePath = await cachePathIn();
+  mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-01-01T00:00:00Z') });
+
+  let fetches = 0;
+  const loader = async (id) => (++fetches === 1 ? null : { id, text: 'back' });
+
+  const first = new TweetCache(cachePath);
+  assert.equal(await first.get('1', loader), null);
+  await first.save();
+
+  mock.timers.setTime(Date.parse('2024-01-01T12:00:00Z'));
+  const sameDay = await new TweetCache(cachePath).get('1', loader);
+  mock.timers.setTime(Date.parse('2024-01-02T01:00:00Z'));
+  const nextDay = await new TweetCache(cachePath).get('1', loader);
+  mock.timers.reset();
+
+  assert.equal(sameDay, null);
+  assert.deepEqual(nextDay, { id: '1', text: 'back' });
+  assert.equal(fetches, 2);
+});
@@ -0,0 +1,41 @@
+// TweetFilter.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import TweetFilter from '../src/twitter/TweetFilter.js';
+
+async function loadFilter(config) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tweet-filter-'));
+  const configPath = path.join(dir, 'filters.json');
+  await fs.writeFile(configPath, JSON.stringify(config));
+
+  const filter = new TweetFilter();
+  await filter.loadConfig(configPath, { quiet: true });
+  return filter;
+}
+
+const tweetAt = (iso) => ({
+  id: iso,
+  text: 'gm',
+  timestamp: Date.parse(iso),
+  likes: 0,
+  retweetCount: 0,
+});
+
+test('keeps tweets posted on the start and end days of the config', async () => {
+  const filter = await loadFilter({ startDate: '2024-01-01', endDate: '2024-01-31' });
+
+  assert.equal(filter.shouldIncludeTweet(tweetAt('2024-01-01T00:00:00Z')), true);
+  assert.equal(filter.shouldIncludeTweet(tweetAt('2024-01-31T00:00:00Z')), true);
+  assert.equal(filter.shouldIncludeTweet(tweetAt('2024-01-31T18:30:00Z')), true);
+  assert.equal(filter.shouldIncludeTweet(tweetAt('2024-01-31T23:59:59Z')), true);
+});
+
+test('drops tweets outside the configured days', async () => {
+  const filter = await loadFilter({ startDate: '2024-01-01', endDate: '2024-01-31' });
+
+  assert.equal(filter.shouldIncludeTweet(tweetAt('2023-12-31T23:59:59Z')), false);
+  assert.equal(filter.shouldIncludeTweet(tweetAt('2024-02-01T00:00:00Z')), false);
+});
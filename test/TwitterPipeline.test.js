@@ -0,0 +1,220 @@
+// TwitterPipeline.test.js
+import { test, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import Logger from '../src/twitter/Logger.js';
+import RequestGovernor from '../src/twitter/RequestGovernor.js';
+import TwitterPipeline from '../src/twitter/TwitterPipeline.js';
+
+const SEARCH_URL = 'https://twitter.com/i/api/graphql/abc/SearchTimeline?variables={}';
+
+before(async () => {
+  // Snapshots, caches and rate limit state are written relative to the cwd
+  process.chdir(await fs.mkdtemp(path.join(os.tmpdir(), 'pipeline-test-')));
+  // Node 20's runner can misread its own messages when a test file prints
+  // this much to stdout between them
+  mock.method(console, 'log', () => {});
+});
+
+/**
+ * Settles a promise on a fake clock: every time the task stops on a timer,
+ * the clock jumps to it.
+ */
+async function onFakeClock(promise) {
+  let settled = false;
+  promise.then(
+    () => (settled = true),
+    () => (settled = true)
+  );
+  while (!settled) {
+    await new Promise((resolve) => setImmediate(resolve));
+    mock.timers.runAll();
+  }
+  return promise;
+}
+
+/**
+ * Stands in for agent-twitter-client's Scraper: like its requestApi, it
+ * retries 429s itself and turns a failed fetch into "Failed to perform request."
+ */
+function createScraper(governor) {
+  return {
+    async getProfile() {
+      return null;
+    },
+    async fetchSearchTweets() {
+      let response;
+      do {
+        try {
+          response = await governor.fetch(SEARCH_URL);
+        } catch {
+          throw new Error('Failed to perform request.');
+        }
+      } while (response.status === 429);
+      return { tweets: [], next: undefined };
+    },
+  };
+}
+
+test('switches to the browser fallback after repeated 429s on the only account', async (t) => {
+  let fetches = 0;
+  const governor = new RequestGovernor({
+    statePath: path.join(process.cwd(), 'cache', 'rate_limits.json'),
+    scope: 'solo',
+    fetch: async () => {
+      fetches++;
+      return new Response('Rate limit exceeded', { status: 429 });
+    },
+  });
+  const pipeline = new TwitterPipeline('someone', {
+    governor,
+    scraper: createScraper(governor),
+    interactive: false,
+  });
+  await pipeline.dataOrganizer.ready;
+  pipeline.tweetFilter.selectAll();
+
+  // Keep the test from launching a browser
+  pipeline.validateEnvironment = async () => {};
+  pipeline.initializeFallback = async () => {};
+  pipeline.collectWithFallback = async () => [
+    {
+      id: '1',
+      text: 'from the browser',
+      username: 'someone',
+      timestamp: Date.parse('2024-01-01T00:00:00Z'),
+    },
+  ];
+
+  mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+  t.after(() => mock.timers.reset());
+
+  const startedAt = Date.now();
+  const tweets = await onFakeClock(pipeline.collectTweets(pipeline.source));
+
+  assert.ok(
+    Date.now() - startedAt < 30 * 1000,
+    'should reach the fallback within the search wait cap'
+  );
+  assert.equal(fetches, 1, 'later searches should fail on the backoff without a request');
+  assert.equal(pipeline.stats.fallbackUsed, true);
+  assert.equal(pipeline.stats.sourceCounts.puppeteer, 1);
+  assert.deepEqual(
+    tweets.map((tweet) => tweet.id),
+    ['1']
+  );
+  assert.notEqual(pipeline.stats.interrupted, true);
+});
+
+test('waits out a rate limit without penalizing or counting it again', async (t) => {
+  const governor = new RequestGovernor({
+    statePath: path.join(process.cwd(), 'cache', 'rate_limits_wait.json'),
+    scope: 'waiting',
+    fetch: async () => new Response('Rate limit exceeded', { status: 429 }),
+    maxWait: 5 * 60 * 1000,
+  });
+  const pipeline = new TwitterPipeline('waiting', { governor, interactive: false });
+  await pipeline.dataOrganizer.ready;
+
+  mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+  t.after(() => mock.timers.reset());
+
+  await Logger.withContext({ account: pipeline.collectionName }, async () => {
+    const stopTracking = pipeline.trackRequests();
+    await governor.fetch(SEARCH_URL);
+    const backoff = await governor.backoffFor('search');
+
+    const startedAt = Date.now();
+    await onFakeClock(pipeline.handleRateLimit(1));
+    stopTracking();
+
+    assert.equal(pipeline.stats.rateLimitHits, 1);
+    assert.ok(Date.now() - startedAt <= backoff, 'should only wait out the existing backoff');
+    assert.equal(await governor.backoffFor('search'), 0);
+  });
+});
+
+test('a fresh run drops the checkpoint an interrupted run of the same day left', async () => {
+  const fixtures = await fs.mkdtemp(path.join(os.tmpdir(), 'pipeline-fixtures-'));
+  const rawTweets = ['1', '2', '3'].map((id) => ({
+    id,
+    username: 'fresh',
+    text: `tweet ${id}`,
+    timestamp: Date.parse(`2024-01-0${id}T12:00:00Z`) / 1000,
+  }));
+  await fs.writeFile(path.join(fixtures, 'tweets.json'), JSON.stringify(rawTweets));
+
+  const pipeline = new TwitterPipeline('fresh', {
+    source: 'fixture',
+    fixtures,
+    interactive: false,
+    resolveQuotes: false,
+  });
+  await pipeline.dataOrganizer.ready;
+  const { checkpoint, nextToken } = pipeline.dataOrganizer.getPaths().meta;
+  await fs.writeFile(checkpoint, `${JSON.stringify({ id: 'stale', text: 'old run' })}\n`);
+  await fs.writeFile(nextToken, '999');
+
+  // The connection drops after the first page
+  pipeline.config.twitter.batchSize = 2;
+  const search = pipeline.source.search.bind(pipeline.source);
+  pipeline.source.search = async function* (...args) {
+    for await (const page of search(...args)) {
+      yield page;
+      throw new Error('connection dropped');
+    }
+  };
+
+  await pipeline.run();
+
+  assert.equal(pipeline.stats.interrupted, true);
+  const { tweets, cursor } = await pipeline.dataOrganizer.loadCheckpoint();
+  assert.deepEqual(tweets.map((tweet) => tweet.id).sort(), ['2', '3']);
+  assert.equal(cursor, '2');
+});
+
+test('keeps tweets the filter leaves out in the raw tweets', async () => {
+  const fixtures = await fs.mkdtemp(path.join(os.tmpdir(), 'pipeline-fixtures-'));
+  const rawTweets = [
+    { id: '1', likes: 50, timestamp: Date.parse('2024-01-01T12:00:00Z') / 1000 },
+    { id: '2', likes: 0, timestamp: Date.parse('2024-01-02T12:00:00Z') / 1000 },
+  ].map((tweet) => ({ ...tweet, username: 'popular', text: `tweet ${tweet.id}` }));
+  await fs.writeFile(path.join(fixtures, 'tweets.json'), JSON.stringify(rawTweets));
+  const filterConfig = path.join(fixtures, 'filters.json');
+  await fs.writeFile(filterConfig, JSON.stringify({ minLikes: 10 }));
+
+  const pipeline = new TwitterPipeline('popular', {
+    source: 'fixture',
+    fixtures,
+    filterConfig,
+    interactive: false,
+    resolveQuotes: false,
+  });
+  const analytics = await pipeline.run();
+
+  const paths = pipeline.dataOrganizer.getPaths();
+  const saved = JSON.parse(await fs.readFile(paths.raw.tweets, 'utf-8'));
+  assert.deepEqual(saved.map((tweet) => tweet.id).sort(), ['1', '2']);
+  assert.equal(analytics.totalTweets, 1);
+  const finetuning = await fs.readFile(paths.processed.finetuning, 'utf-8');
+  assert.equal(finetuning.trim().split('\n').length, 1);
+});
+
+test('closing the sources logs out only a session the run logged in to', async () => {
+  const pipeline = new TwitterPipeline('closing', { interactive: false });
+  const logout = mock.fn(async () => {});
+  pipeline.scraper = { logout };
+
+  // Interrupted before the source logged in
+  await pipeline.closeSources();
+  assert.equal(logout.mock.callCount(), 0);
+
+  pipeline.validateEnvironment = async () => {};
+  pipeline.initializeScraper = async () => true;
+  await pipeline.source.initialize();
+  await pipeline.closeSources();
+  await pipeline.closeSources();
+  assert.equal(logout.mock.callCount(), 1);
+});
@@ -0,0 +1,66 @@
+// deleted_tweets.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import TweetFilter from '../src/twitter/TweetFilter.js';
+import { findDeletedTweets } from '../src/twitter/deleted_tweets.js';
+
+const tweet = (id, day, likes = 0) => ({
+  id,
+  text: `tweet ${id}`,
+  timestamp: Date.parse(`2024-01-${day}T12:00:00Z`),
+  likes,
+  retweetCount: 0,
+});
+
+function snapshot(date, tweets, filter = new TweetFilter()) {
+  if (!filter.options) filter.selectAll();
+  const timestamps = tweets.map((t) => t.timestamp);
+  return {
+    date,
+    tweets: new Map(tweets.map((t) => [t.id, t])),
+    oldest: Math.min(...timestamps),
+    newest: Math.max(...timestamps),
+    filter,
+  };
+}
+
+test('finds tweets a later snapshot covering their time no longer has', () => {
+  const deleted = findDeletedTweets([
+    snapshot('2024-02-01', [tweet('1', '10'), tweet('2', '15'), tweet('3', '20')]),
+    snapshot('2024-03-01', [tweet('1', '10'), tweet('3', '20')]),
+  ]);
+
+  assert.deepEqual(
+    deleted.map(({ id, lastSeenIn, missingIn }) => ({ id, lastSeenIn, missingIn })),
+    [{ id: '2', lastSeenIn: '2024-02-01', missingIn: '2024-03-01' }]
+  );
+});
+
+test('skips tweets outside the later snapshot or back in an even later one', () => {
+  const deleted = findDeletedTweets([
+    snapshot('2024-02-01', [tweet('1', '05'), tweet('2', '15'), tweet('3', '20')]),
+    // Starts after tweet 1 and misses tweet 2 for a while
+    snapshot('2024-03-01', [tweet('4', '10'), tweet('3', '20')]),
+    snapshot('2024-04-01', [tweet('4', '10'), tweet('2', '15'), tweet('3', '20')]),
+  ]);
+
+  assert.deepEqual(deleted, []);
+});
+
+test("doesn't count tweets the later snapshot's filter left out", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'deleted-tweets-'));
+  const configPath = path.join(dir, 'filters.json');
+  await fs.writeFile(configPath, JSON.stringify({ minLikes: 10 }));
+  const filter = new TweetFilter();
+  await filter.loadConfig(configPath, { quiet: true });
+
+  const deleted = findDeletedTweets([
+    snapshot('2024-02-01', [tweet('1', '10', 50), tweet('2', '15', 0), tweet('3', '20', 50)]),
+    snapshot('2024-03-01', [tweet('1', '10', 50), tweet('3', '20', 50)], filter),
+  ]);
+
+  assert.deepEqual(deleted, []);
+});